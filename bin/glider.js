@@ -5,15 +5,21 @@
  * Commands:
  *   glider status              Check server/extension/tab status
  *   glider start               Start relay server
- *   glider stop                Stop relay server
- *   glider goto <url>          Navigate to URL
+ *   glider stop                Stop relay server (and launched browser)
+ *   glider launch [--headless] Start Chrome with remote debugging (direct transport)
+ *   glider goto <url>          Navigate to URL and wait for it to load
+ *   glider back|forward|reload History navigation, waits like goto
  *   glider eval <js>           Execute JavaScript
  *   glider click <selector>    Click element
  *   glider type <sel> <text>   Type into input
- *   glider screenshot [path]   Take screenshot
+ *   glider press <key...>      Press keys/chords (Enter, Ctrl+A)
+ *   glider screenshot [path]   Take screenshot (--full-page, --selector, --format)
+ *   glider pdf [path]          Print page to PDF (--format A4, --landscape, --margin)
+ *   glider emulate <preset>    Device, geolocation, timezone, locale, network emulation (--list, --reset)
  *   glider text                Get page text
- *   glider run <task.yaml>     Run YAML task file
+ *   glider run <task.yaml>     Run YAML task file (--var key=value)
  *   glider loop <task> [-n N]  Run task in Ralph Wiggum loop
+ *   glider runs [show|stop]    Supervise loops (~/.glider/runs)
  * 
  * The loop command implements the Ralph Wiggum pattern:
  * - Continuously executes until task is complete or limits reached
@@ -35,7 +41,6 @@ const DEBUG_PORT = process.env.GLIDER_DEBUG_PORT || 9222;
 const SERVER_URL = `http://127.0.0.1:${PORT}`;
 const DEBUG_URL = `http://127.0.0.1:${DEBUG_PORT}`;
 const LIB_DIR = path.join(__dirname, '..', 'lib');
-const STATE_FILE = '/tmp/glider-state.json';
 const LOG_FILE = '/tmp/glider.log';
 const REGISTRY_FILE = path.join(LIB_DIR, 'registry.json');
 
@@ -47,8 +52,14 @@ if (fs.existsSync(REGISTRY_FILE)) {
   } catch (e) { /* ignore parse errors */ }
 }
 
-// Direct CDP module
-const { DirectCDP, checkChrome } = require(path.join(LIB_DIR, 'cdp-direct.js'));
+// Transport - relay (extension) or direct (--remote-debugging-port)
+const { createTransport, resolveTransportName } = require(path.join(LIB_DIR, 'transport.js'));
+const { checkChrome } = require(path.join(LIB_DIR, 'cdp-direct.js'));
+const {
+  GliderError, UsageError, ConnectionError, ExtensionError, ElementNotFoundError, EvaluationError,
+  TimeoutError, TaskError, NavigationError, fromPayload, fromExceptionDetails, toGliderError, withContext,
+} = require(path.join(LIB_DIR, 'errors.js'));
+let TRANSPORT = process.env.GLIDER_TRANSPORT || 'relay';
 
 // Domain extensions - load from ~/.cursor/glider/domains.json or ~/.glider/domains.json
 const DOMAIN_CONFIG_PATHS = [
@@ -107,9 +118,50 @@ function showBanner() {
   console.log(BANNER);
 }
 
+// Output mode - text for people; json (one result object) or ndjson (events, then the
+// result) for pipes. In machine modes stdout carries only JSON, log.* stays on stderr.
+const OUTPUT_MODES = ['text', 'json', 'ndjson'];
+let OUTPUT = process.env.GLIDER_OUTPUT || 'text';
+const output = { command: null, startedAt: Date.now(), emitted: false, lastFailure: null };
+const stdoutWrite = process.stdout.write.bind(process.stdout);
+
+const stripAnsi = (text) => String(text).replace(/\x1b\[[0-9;]*m/g, '');
+
+function setupOutput(command) {
+  output.command = command;
+  if (OUTPUT === 'text') return;
+  console.log = () => {};
+  // process.exit() paths still get a result object
+  process.on('exit', (code) => {
+    if (code) emitResult({ error: { code: 'ERROR', message: stripAnsi(output.lastFailure || `exit code ${code}`), exitCode: code } });
+    else emitResult();
+  });
+}
+
+function emitEvent(event, payload = {}) {
+  if (OUTPUT !== 'ndjson') return;
+  stdoutWrite(`${JSON.stringify({ event, ts: new Date().toISOString(), ...payload })}\n`);
+}
+
+function emitResult({ data = null, error = null } = {}) {
+  if (OUTPUT === 'text' || output.emitted) return;
+  output.emitted = true;
+  const result = {
+    command: output.command,
+    status: error ? 'error' : 'ok',
+    data: data === undefined ? null : data,
+    error,
+    timing: { startedAt: new Date(output.startedAt).toISOString(), durationMs: Date.now() - output.startedAt },
+  };
+  stdoutWrite(`${JSON.stringify(OUTPUT === 'ndjson' ? { event: 'result', ...result } : result)}\n`);
+}
+
 const log = {
   ok: (msg) => console.error(`${GREEN}✓${NC} ${msg}`),
-  fail: (msg) => console.error(`${RED}✗${NC} ${msg}`),
+  fail: (msg) => {
+    output.lastFailure = msg;
+    console.error(`${RED}✗${NC} ${msg}`);
+  },
   info: (msg) => console.error(`${B5}→${NC} ${msg}`),
   warn: (msg) => console.error(`${YELLOW}⚠${NC} ${msg}`),
   step: (msg) => console.error(`${B6}▸${NC} ${msg}`),
@@ -122,29 +174,43 @@ const log = {
   },
 };
 
-// macOS notification helper
+// Desktop notification helper - macOS, notify-send on Linux, terminal bell otherwise
 function notify(title, message, sound = false) {
   try {
-    const soundFlag = sound ? 'sound name "Ping"' : '';
-    execSync(`osascript -e 'display notification "${message}" with title "${title}" ${soundFlag}'`, { stdio: 'ignore' });
+    if (process.platform === 'darwin') {
+      const soundFlag = sound ? 'sound name "Ping"' : '';
+      execSync(`osascript -e 'display notification "${message}" with title "${title}" ${soundFlag}'`, { stdio: 'ignore' });
+      return;
+    }
+    if (process.platform === 'linux') {
+      execSync(`notify-send ${JSON.stringify(title)} ${JSON.stringify(message)}`, { stdio: 'ignore' });
+      if (sound) process.stderr.write('\x07');
+      return;
+    }
   } catch {}
+  // No notification daemon - ring the terminal bell instead
+  process.stderr.write('\x07');
+}
+
+// HTTP helpers - relay errors ({ error: { code, message } } with a 4xx/5xx) reject with their typed error
+function settleResponse(res, text, resolve, reject) {
+  let body = text;
+  try { body = JSON.parse(text); } catch {}
+  if (res.statusCode >= 400) {
+    reject(fromPayload(body?.error ?? `HTTP ${res.statusCode}: ${String(text).slice(0, 200)}`));
+  } else {
+    resolve(body);
+  }
 }
 
-// HTTP helpers
 function httpGet(urlPath) {
   return new Promise((resolve, reject) => {
     const url = new URL(urlPath, SERVER_URL);
     http.get(url, { timeout: 2000 }, (res) => {
       let data = '';
       res.on('data', chunk => data += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(data));
-        } catch {
-          resolve(data);
-        }
-      });
-    }).on('error', reject);
+      res.on('end', () => settleResponse(res, data, resolve, reject));
+    }).on('error', e => reject(toGliderError(e)));
   });
 }
 
@@ -159,20 +225,86 @@ function httpPost(urlPath, body) {
     }, (res) => {
       let result = '';
       res.on('data', chunk => result += chunk);
-      res.on('end', () => {
-        try {
-          resolve(JSON.parse(result));
-        } catch {
-          resolve(result);
-        }
-      });
+      res.on('end', () => settleResponse(res, result, resolve, reject));
     });
-    req.on('error', reject);
+    req.on('error', e => reject(toGliderError(e)));
     req.write(data);
     req.end();
   });
 }
 
+// Command failure - main() reports it and exits with the error's exit code (lib/errors.js),
+// the task engine fails only that step. data: partial result for --json (e.g. a failed schedule run)
+function fail(message, data) {
+  throw new GliderError(message, data === undefined ? {} : { data });
+}
+
+function usage(message) {
+  throw new UsageError(message);
+}
+
+// Task control signals - on_error: abort / circuit breaker, on_error: goto <label>
+class TaskAbort extends Error {}
+
+class StepGoto extends Error {
+  constructor(label) {
+    super(`Unknown label: ${label}`);
+    this.label = label;
+  }
+}
+
+// CDP via the selected transport - one connection per CLI invocation
+let transport = null;
+let activeSession = null;
+
+async function getTransport() {
+  if (!transport) transport = createTransport({ transport: TRANSPORT });
+  await transport.connect();
+  return transport;
+}
+
+// Send a CDP command to the active tab (Target.*/Browser.* go to the browser)
+async function cdp(method, params = {}) {
+  const t = await getTransport();
+  if (method.startsWith('Target.') || method.startsWith('Browser.')) {
+    return t.send(method, params);
+  }
+  if (!activeSession) activeSession = await t.attach();
+  return t.send(method, params, activeSession);
+}
+
+// Runtime.evaluate in the active tab -> RemoteObject. A page exception (or rejected
+// promise) throws EvaluationError with the page's message, stack, line and column.
+// Values go into expressions via JSON.stringify, never by splicing strings into quotes.
+async function pageEval(expression, options = {}) {
+  const result = await cdp('Runtime.evaluate', { expression, returnByValue: true, awaitPromise: true, ...options });
+  if (result.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
+  return result.result || {};
+}
+
+async function evalInPage(expression) {
+  return (await pageEval(expression)).value;
+}
+
+// BrowserCDP on the same connection + tab - for the higher-level helpers (waitFor*, ...)
+let activePage = null;
+
+async function getPage() {
+  if (activePage) return activePage;
+  const { BrowserCDP } = require(path.join(LIB_DIR, 'bcdp.js'));
+  const page = new BrowserCDP({ transport: await getTransport() });
+  await page.init(activeSession ? { sessionId: activeSession } : undefined);
+  activeSession = page.sessionId;
+  return activePage = page;
+}
+
+function closeTransport() {
+  if (transport) transport.close();
+  transport = null;
+  activeSession = null;
+  activePage = null;
+}
+
 // Server checks
 async function checkServer() {
   try {
@@ -193,17 +325,24 @@ async function checkExtension() {
 }
 
 async function checkTab() {
-  try {
-    const targets = await httpGet('/targets');
-    return Array.isArray(targets) && targets.length > 0;
-  } catch {
-    return false;
-  }
+  const targets = await getTargets();
+  return targets.length > 0;
+}
+
+// What --json reports for a tab
+function tabInfo(target, i) {
+  return {
+    index: i + 1,
+    sessionId: target.sessionId || null,
+    targetId: target.targetInfo?.targetId || null,
+    url: target.targetInfo?.url || null,
+    title: target.targetInfo?.title || '',
+  };
 }
 
 async function getTargets() {
   try {
-    return await httpGet('/targets');
+    return await (await getTransport()).getTargets();
   } catch {
     return [];
   }
@@ -214,15 +353,34 @@ async function cmdStatus() {
   showBanner();
   log.box('STATUS');
   
+  if (TRANSPORT === 'direct') {
+    const chrome = await checkChrome();
+    if (!chrome.ok) {
+      console.log(`  ${RED}✗${NC} Chrome debugging not available on port ${DEBUG_PORT}`);
+      console.log(`      ${DIM}Start Chrome with --remote-debugging-port=${DEBUG_PORT}${NC}`);
+      console.log();
+      return { transport: TRANSPORT, browser: null, port: Number(DEBUG_PORT), tabs: [] };
+    }
+    console.log(`  ${GREEN}✓${NC} ${chrome.version.Browser} on port ${DEBUG_PORT} ${DIM}(direct)${NC}`);
+    const targets = await getTargets();
+    console.log(`  ${GREEN}✓${NC} ${targets.length} tab(s):`);
+    targets.forEach(t => console.log(`      ${B5}${t.targetInfo?.url || 'unknown'}${NC}`));
+    console.log();
+    return { transport: TRANSPORT, browser: chrome.version.Browser, port: Number(DEBUG_PORT), tabs: targets.map(tabInfo) };
+  }
+  
   const serverOk = await checkServer();
   console.log(serverOk ? `  ${GREEN}✓${NC} Server running on port ${PORT}` : `  ${RED}✗${NC} Server not running`);
+  const status = { transport: TRANSPORT, server: serverOk, port: Number(PORT), extension: false, tabs: [] };
   
   if (serverOk) {
     const extOk = await checkExtension();
     console.log(extOk ? `  ${GREEN}✓${NC} Extension connected` : `  ${RED}✗${NC} Extension not connected`);
+    status.extension = extOk;
     
     if (extOk) {
       const targets = await getTargets();
+      status.tabs = targets.map(tabInfo);
       if (targets.length > 0) {
         console.log(`  ${GREEN}✓${NC} ${targets.length} tab(s) connected:`);
         targets.forEach(t => {
@@ -238,20 +396,20 @@ async function cmdStatus() {
     console.log(`      ${DIM}Run: glider install${NC}`);
   }
   console.log();
+  return status;
 }
 
 async function cmdStart() {
   if (await checkServer()) {
     log.ok('Server already running');
-    return;
+    return { running: true, started: false };
   }
   
   log.info('Starting glider server...');
   const bserve = path.join(LIB_DIR, 'bserve.js');
   
   if (!fs.existsSync(bserve)) {
-    log.fail(`bserve not found at ${bserve}`);
-    process.exit(1);
+    fail(`bserve not found at ${bserve}`);
   }
   
   const child = spawn('node', [bserve], {
@@ -265,173 +423,409 @@ async function cmdStart() {
     await new Promise(r => setTimeout(r, 500));
     if (await checkServer()) {
       log.ok('Server started');
-      return;
+      return { running: true, started: true };
     }
   }
-  log.fail('Server failed to start');
-  process.exit(1);
+  throw new ConnectionError(`Server failed to start (log: ${LOG_FILE})`);
 }
 
-async function cmdStop() {
+function stopServer() {
   try {
     execSync('pkill -f bserve', { stdio: 'ignore' });
     log.ok('Server stopped');
+    return true;
   } catch {
     log.warn('Server was not running');
+    return false;
+  }
+}
+
+async function cmdStop() {
+  const server = stopServer();
+  
+  // Browser started by `glider launch`
+  const { stopChrome } = require(path.join(LIB_DIR, 'blaunch.js'));
+  const browser = await stopChrome();
+  if (browser) log.ok('Launched browser stopped');
+  return { server, browser };
+}
+
+// Start a local Chrome/Chromium with remote debugging (Linux, CI, headless)
+async function cmdLaunch(opts = []) {
+  const { launchChrome } = require(path.join(LIB_DIR, 'blaunch.js'));
+  let headless = false;
+  let profile = null;
+  let url = 'about:blank';
+  
+  for (let i = 0; i < opts.length; i++) {
+    if (opts[i] === '--headless') headless = true;
+    else if (opts[i] === '--profile' || opts[i] === '-p') profile = opts[++i];
+    else if (!opts[i].startsWith('-')) url = opts[i];
+  }
+  
+  log.info(`Launching ${headless ? 'headless ' : ''}browser on port ${DEBUG_PORT}...`);
+  const info = await launchChrome({ headless, profile, url });
+  log.ok(`${info.reused ? 'Already running' : 'Launched'}: ${info.browser} (pid ${info.pid})`);
+  log.info(`Profile: ${info.userDataDir}${info.tempProfile ? ' (temp, removed on stop)' : ''}`);
+  if (TRANSPORT !== 'direct') {
+    log.info('Use it with: glider --transport direct <command>  (or GLIDER_TRANSPORT=direct)');
+  }
+  log.info('Stop with: glider stop');
+  return info;
+}
+
+/**
+ * Walks a command line, calling onFlag(flag, value, arg) for every argument.
+ * "--flag=v" arrives as flag "--flag"; value() returns v, or takes the next
+ * argument (usage error if there is none); value.peek() looks without taking.
+ */
+function readFlags(argv, onFlag) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const eq = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = eq === -1 ? arg : arg.slice(0, eq);
+    const inline = eq === -1 ? undefined : arg.slice(eq + 1);
+    const value = () => {
+      const v = inline ?? argv[++i];
+      if (v === undefined) usage(`${flag} needs a value`);
+      return v;
+    };
+    value.peek = () => inline ?? argv[i + 1];
+    onFlag(flag, value, arg);
+  }
+}
+
+// --wait-until load|domcontentloaded|networkidle|none, --timeout N (seconds), --allow-http-errors -> [rest, options]
+function parseNavFlags(opts) {
+  const options = {};
+  const rest = [];
+  readFlags(opts, (flag, value, arg) => {
+    if (flag === '--wait-until') {
+      options.waitUntil = value();
+    } else if (flag === '--timeout') {
+      const seconds = value();
+      options.timeout = Number(seconds);
+      if (!(options.timeout > 0)) usage(`--timeout expects seconds, got: ${seconds}`);
+    } else if (flag === '--allow-http-errors') {
+      options.allowHttpErrors = true;
+    } else {
+      rest.push(arg);
+    }
+  });
+  return [rest, options];
+}
+
+// BrowserCDP navigation options from CLI/step options (timeout in seconds, default 30)
+function navOptions({ waitUntil = 'load', timeout = 30 } = {}) {
+  return { waitUntil, timeout: timeout * 1000 };
+}
+
+// Reports where a navigation ended up; an HTTP 4xx/5xx fails it unless allowHttpErrors (then it's a warning)
+function reportNavigation(result, started, { waitUntil, allowHttpErrors }) {
+  const took = `${((Date.now() - started) / 1000).toFixed(1)}s`;
+  const status = result.status ? `${result.status}${result.statusText ? ` ${result.statusText}` : ''}` : null;
+  if (result.status >= 400) {
+    if (!allowHttpErrors) {
+      throw new NavigationError(`HTTP ${status}: ${result.url}`, {
+        url: result.url, status: result.status, data: { ...result, waitUntil },
+      });
+    }
+    log.warn(`HTTP ${status}: ${result.url}`);
   }
+  log.ok(`${waitUntil === 'none' ? 'Navigating' : 'Loaded'}: ${result.url}${status ? ` [${status}]` : ''} (${took})`);
+  return { ...result, waitUntil };
 }
 
-async function cmdGoto(url) {
+async function cmdGoto(url, options = {}) {
   if (!url) {
-    log.fail('Usage: glider goto <url>');
-    process.exit(1);
+    usage('Usage: glider goto <url> [--wait-until load|domcontentloaded|networkidle|none] [--timeout s] [--allow-http-errors]');
   }
   
   log.info(`Navigating to: ${url}`);
+  const nav = navOptions(options);
+  const started = Date.now();
   
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Page.navigate',
-      params: { url }
-    });
-    console.log(JSON.stringify(result));
-    log.ok('Navigated');
+    const page = await getPage();
+    return reportNavigation(await page.navigate(url, nav), started, { ...options, waitUntil: nav.waitUntil });
+  } catch (e) {
+    throw withContext(e, 'Navigation failed');
+  }
+}
+
+// back | forward | reload - waits like goto
+async function cmdHistory(action, options = {}) {
+  const nav = navOptions(options);
+  const started = Date.now();
+  let result;
+  
+  try {
+    const page = await getPage();
+    if (action === 'reload') result = await page.reload(nav);
+    else result = await (action === 'back' ? page.goBack(nav) : page.goForward(nav));
   } catch (e) {
-    log.fail(`Navigation failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, `${action[0].toUpperCase()}${action.slice(1)} failed`);
   }
+  if (result === false) fail(`No page to go ${action} to`);
+  return reportNavigation(result, started, { ...options, waitUntil: nav.waitUntil });
 }
 
 async function cmdEval(js) {
   if (!js) {
-    log.fail('Usage: glider eval <javascript>');
-    process.exit(1);
+    usage('Usage: glider eval <javascript>');
   }
   
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: js,
-        returnByValue: true,
-        awaitPromise: true,
-      }
-    });
+    const result = await pageEval(js);
     
-    if (result.result?.value !== undefined) {
-      console.log(JSON.stringify(result.result.value));
-    } else if (result.result?.description) {
-      console.log(result.result.description);
+    if (result.value !== undefined) {
+      console.log(JSON.stringify(result.value));
+    } else if (result.description) {
+      console.log(result.description);
     } else {
       console.log(JSON.stringify(result));
     }
+    return result.value;
   } catch (e) {
-    log.fail(`Eval failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Eval failed');
   }
 }
 
+// Real mouse and keyboard input (Input.dispatch*), after scrolling the element into
+// view and waiting until it's visible, enabled and not covered - see BrowserCDP._actionable
 async function cmdClick(selector) {
   if (!selector) {
-    log.fail('Usage: glider click <selector>');
-    process.exit(1);
+    usage('Usage: glider click <selector>');
   }
   
-  const js = `
-    (() => {
-      const el = document.querySelector('${selector.replace(/'/g, "\\'")}');
-      if (!el) return { error: 'Element not found' };
-      el.click();
-      return { clicked: true };
-    })()
-  `;
-  
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: { expression: js, returnByValue: true }
-    });
-    
-    if (result.result?.value?.error) {
-      log.fail(result.result.value.error);
-      process.exit(1);
-    }
+    const page = await getPage();
+    await page.click(selector);
     log.ok(`Clicked: ${selector}`);
+    return { selector, clicked: true };
   } catch (e) {
-    log.fail(`Click failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Click failed');
   }
 }
 
-async function cmdType(selector, text) {
+// type <sel> <text...> [--delay ms] -> [text, { delay }]
+function parseTypeArgs(rest) {
+  const words = [];
+  const opts = {};
+  for (let i = 0; i < rest.length; i++) {
+    const delay = rest[i] === '--delay' ? rest[++i] : rest[i].startsWith('--delay=') ? rest[i].slice(8) : null;
+    if (delay === null) {
+      words.push(rest[i]);
+      continue;
+    }
+    opts.delay = Number(delay);
+    if (!(opts.delay >= 0)) usage(`--delay expects milliseconds, got: ${delay}`);
+  }
+  return [words.join(' '), opts];
+}
+
+// Replaces the field's value, key by key; delay = ms between keys
+async function cmdType(selector, text, { delay = 0 } = {}) {
   if (!selector || !text) {
-    log.fail('Usage: glider type <selector> <text>');
-    process.exit(1);
+    usage('Usage: glider type <selector> <text> [--delay ms]');
   }
   
-  const js = `
-    (() => {
-      const el = document.querySelector('${selector.replace(/'/g, "\\'")}');
-      if (!el) return { error: 'Element not found' };
-      el.focus();
-      el.value = '${text.replace(/'/g, "\\'")}';
-      el.dispatchEvent(new Event('input', { bubbles: true }));
-      return { typed: true };
-    })()
-  `;
-  
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: { expression: js, returnByValue: true }
-    });
-    
-    if (result.result?.value?.error) {
-      log.fail(result.result.value.error);
-      process.exit(1);
-    }
+    const page = await getPage();
+    await page.type(selector, String(text), { delay, clear: true });
     log.ok(`Typed into: ${selector}`);
+    return { selector, typed: true };
   } catch (e) {
-    log.fail(`Type failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Type failed');
   }
 }
 
-async function cmdScreenshot(outputPath) {
-  const filePath = outputPath || `/tmp/glider-screenshot-${Date.now()}.png`;
+// Keys or chords in order, on the focused element: press Ctrl+A Backspace
+async function cmdPress(keys) {
+  if (!keys.length) {
+    usage('Usage: glider press <key> [key...]  (Enter, Tab, Ctrl+A, Shift+ArrowLeft, ...)');
+  }
   
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Page.captureScreenshot',
-      params: { format: 'png' }
-    });
-    
-    if (result.data) {
-      fs.writeFileSync(filePath, Buffer.from(result.data, 'base64'));
-      log.ok(`Screenshot saved: ${filePath}`);
-    } else {
-      log.fail('No screenshot data received');
-      process.exit(1);
+    const page = await getPage();
+    for (const chord of keys) await page.press(String(chord));
+    log.ok(`Pressed: ${keys.join(' ')}`);
+    return { keys };
+  } catch (e) {
+    throw withContext(e, 'Press failed');
+  }
+}
+
+// screenshot [path] --full-page --selector css --format f --quality n --scale n -> [path, options]
+function parseScreenshotArgs(opts) {
+  const options = {};
+  let outputPath;
+  readFlags(opts, (flag, value, arg) => {
+    if (flag === '--full-page') options.fullPage = true;
+    else if (flag === '--selector' || flag === '-s') options.selector = value();
+    else if (flag === '--format') options.format = value();
+    else if (flag === '--quality' || flag === '-q') options.quality = Number(value());
+    else if (flag === '--scale') options.scale = Number(value());
+    else if (flag.startsWith('-')) usage(`Unknown screenshot option: ${flag}`);
+    else outputPath = arg;
+  });
+  return [outputPath, options];
+}
+
+// Format from --format, else from the file extension, else png
+function screenshotFormat(format, filePath) {
+  if (format) return format === 'jpg' ? 'jpeg' : format;
+  const ext = path.extname(filePath || '').slice(1).toLowerCase();
+  return { jpg: 'jpeg', jpeg: 'jpeg', webp: 'webp' }[ext] || 'png';
+}
+
+async function cmdScreenshot(outputPath, options = {}) {
+  const format = screenshotFormat(options.format, outputPath);
+  const filePath = outputPath || `/tmp/glider-screenshot-${Date.now()}.${format === 'jpeg' ? 'jpg' : format}`;
+  
+  try {
+    const page = await getPage();
+    const { buffer, clip } = await page.screenshot({ ...options, format, path: filePath });
+    const size = clip ? ` ${Math.round(clip.width)}x${Math.round(clip.height)}${clip.scale !== 1 ? ` @${clip.scale}x` : ''}` : '';
+    log.ok(`Screenshot saved: ${filePath}${size}`);
+    return { path: filePath, bytes: buffer.length, format, clip };
+  } catch (e) {
+    throw withContext(e, 'Screenshot failed');
+  }
+}
+
+// pdf [path] --format A4 --landscape --margin 1cm --ranges 1-3 ... -> [path, options]
+// Templates given as @file.html are read from that file
+function parsePdfArgs(opts) {
+  const options = {};
+  let outputPath;
+  const template = v => (v.startsWith('@') ? fs.readFileSync(v.slice(1), 'utf8') : v);
+  readFlags(opts, (flag, value, arg) => {
+    if (flag === '--format' || flag === '--paper') options.format = value();
+    else if (flag === '--width') options.width = value();
+    else if (flag === '--height') options.height = value();
+    else if (flag === '--landscape') options.landscape = true;
+    else if (flag === '--margin') options.margin = value();
+    else if (flag === '--no-background') options.printBackground = false;
+    else if (flag === '--ranges' || flag === '--page-ranges') options.pageRanges = value();
+    else if (flag === '--header-template') options.headerTemplate = template(value());
+    else if (flag === '--footer-template') options.footerTemplate = template(value());
+    else if (flag === '--scale') options.scale = Number(value());
+    else if (flag === '--css-page-size') options.preferCSSPageSize = true;
+    else if (flag.startsWith('-')) usage(`Unknown pdf option: ${flag}`);
+    else outputPath = arg;
+  });
+  return [outputPath, options];
+}
+
+async function cmdPdf(outputPath, options = {}) {
+  const filePath = outputPath || `/tmp/glider-${Date.now()}.pdf`;
+  
+  try {
+    const page = await getPage();
+    const { buffer } = await page.pdf({ ...options, path: filePath });
+    log.ok(`PDF saved: ${filePath} (${(buffer.length / 1024).toFixed(1)} KB)`);
+    return { path: filePath, bytes: buffer.length };
+  } catch (e) {
+    throw withContext(e, 'PDF failed');
+  }
+}
+
+// emulate [preset] --width N --height N --dpr N --mobile --touch --ua S --landscape
+//         --geo lat,lon --timezone TZ --locale L --offline --throttle P | --reset | --list
+function parseEmulateArgs(opts) {
+  const options = {};
+  readFlags(opts, (flag, value, arg) => {
+    if (flag === '--width') options.width = Number(value());
+    else if (flag === '--height') options.height = Number(value());
+    else if (flag === '--dpr') options.deviceScaleFactor = Number(value());
+    else if (flag === '--mobile') options.mobile = true;
+    else if (flag === '--touch') options.touch = true;
+    else if (flag === '--no-touch') options.touch = false;
+    else if (flag === '--ua' || flag === '--user-agent') options.userAgent = value();
+    else if (flag === '--landscape') options.landscape = true;
+    else if (flag === '--geo' || flag === '--geolocation') options.geolocation = value();
+    else if (flag === '--timezone' || flag === '--tz') options.timezone = value();
+    else if (flag === '--locale') options.locale = value();
+    else if (flag === '--offline') options.offline = true;
+    else if (flag === '--online') options.offline = false;
+    else if (flag === '--throttle') options.throttle = value();
+    else if (flag === '--reset') options.reset = true;
+    else if (flag === '--list') options.list = true;
+    else if (flag.startsWith('-')) usage(`Unknown emulate option: ${flag}`);
+    else options.device = arg;
+  });
+  // A phone without touch is rarely what anyone wants
+  if (options.mobile && options.touch === undefined) options.touch = true;
+  return options;
+}
+
+// Step form: "preset" | "reset" | { device, width, height, dpr, mobile, touch, user_agent, landscape,
+//                                   geo, timezone, locale, offline, throttle }
+function stepEmulateOptions(arg) {
+  if (arg === 'reset' || arg === false) return { reset: true };
+  if (arg === null || typeof arg !== 'object') return { device: arg };
+  return {
+    device: arg.device,
+    width: arg.width,
+    height: arg.height,
+    deviceScaleFactor: arg.dpr,
+    mobile: arg.mobile,
+    touch: arg.touch ?? (arg.mobile ? true : undefined),
+    userAgent: arg.user_agent,
+    landscape: arg.landscape,
+    geolocation: arg.geo ?? arg.geolocation,
+    timezone: arg.timezone,
+    locale: arg.locale,
+    offline: arg.offline,
+    throttle: arg.throttle,
+  };
+}
+
+// Emulation belongs to the debugging session: with the relay it stays until reset,
+// with --transport direct it ends when this process detaches
+async function cmdEmulate(options = {}) {
+  const { DEVICES } = require(path.join(LIB_DIR, 'bcdp.js'));
+  if (options.list) {
+    for (const [key, d] of Object.entries(DEVICES)) {
+      console.log(`  ${key.padEnd(20)} ${DIM}${d.width}x${d.height} @${d.deviceScaleFactor}x${d.mobile ? ', mobile' : ''}  ${d.name}${NC}`);
+    }
+    return Object.entries(DEVICES).map(([key, d]) => ({ key, ...d }));
+  }
+  const { reset, list, ...settings } = options;
+  if (!reset && !Object.values(settings).some(v => v !== undefined)) {
+    usage('Usage: glider emulate <preset> | --width N --height N [--dpr N] [--mobile] [--ua S] [--landscape] [--geo lat,lon] [--timezone TZ] [--locale L] [--offline] [--throttle 3g] | --reset | --list');
+  }
+  
+  try {
+    const page = await getPage();
+    if (reset) {
+      await page.resetEmulation();
+      log.ok('Emulation cleared');
+      return { reset: true };
     }
+    const applied = await page.emulate(settings);
+    const size = [applied.width && applied.height && `${applied.width}x${applied.height}`,
+      applied.deviceScaleFactor && `@${applied.deviceScaleFactor}x`].filter(Boolean).join(' ');
+    const geo = applied.geolocation;
+    const parts = [size, applied.mobile && 'mobile', applied.touch && 'touch', applied.landscape && 'landscape',
+      applied.userAgent && 'custom UA', geo && `geo ${geo.latitude},${geo.longitude}`, applied.timezone,
+      applied.locale, applied.offline && 'offline', applied.offline === false && 'online',
+      applied.throttle && `throttle ${typeof applied.throttle === 'object' ? 'custom' : applied.throttle}`].filter(Boolean);
+    log.ok(`Emulating ${applied.name || (size ? 'viewport' : 'page')}: ${parts.join(', ')}`);
+    return applied;
   } catch (e) {
-    log.fail(`Screenshot failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Emulate failed');
   }
 }
 
 async function cmdText() {
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: 'document.body.innerText',
-        returnByValue: true,
-      }
-    });
-    console.log(result.result?.value || '');
+    const text = await evalInPage('document.body.innerText') || '';
+    console.log(text);
+    return text;
   } catch (e) {
-    log.fail(`Text extraction failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Text extraction failed');
   }
 }
 
@@ -440,9 +834,9 @@ async function cmdText() {
 // ═══════════════════════════════════════════════════════════════════
 
 async function cmdRestart() {
-  await cmdStop();
+  stopServer();
   await new Promise(r => setTimeout(r, 500));
-  await cmdStart();
+  return cmdStart();
 }
 
 // Daemon management - runs forever, respawns on crash
@@ -476,12 +870,15 @@ async function cmdInstallDaemon() {
   await new Promise(r => setTimeout(r, 1000));
   
   if (fs.existsSync(pidFile)) {
+    const pid = fs.readFileSync(pidFile, 'utf8').trim();
     log.ok('Daemon started');
     log.info('Relay will auto-restart on crash');
+    log.info('Scheduled tasks run from ~/.glider/schedules.yaml');
     log.info(`Logs: ${logDir}/daemon.log`);
-    log.info(`PID: ${fs.readFileSync(pidFile, 'utf8').trim()}`);
+    log.info(`PID: ${pid}`);
+    return { pid: Number(pid), log: path.join(logDir, 'daemon.log') };
   } else {
-    log.fail('Daemon failed to start');
+    fail('Daemon failed to start');
   }
 }
 
@@ -491,20 +888,108 @@ async function cmdUninstallDaemon() {
   
   if (!fs.existsSync(pidFile)) {
     log.info('Daemon not running');
-    return;
+    return { stopped: false };
   }
   
   try {
     const pid = fs.readFileSync(pidFile, 'utf8').trim();
     execSync(`kill ${pid}`, { stdio: 'ignore' });
     fs.unlinkSync(pidFile);
+    // The daemon's scheduler loop exits once daemon.pid is gone; stop the current scheduler now
+    require(path.join(LIB_DIR, 'bschedule.js')).stopScheduler();
     log.ok('Daemon stopped');
+    return { stopped: true };
+  } catch (e) {
+    throw withContext(e, 'Failed to stop');
+  }
+}
+
+// Browser process helpers for connect - macOS uses the app bundle, everything else the binary
+const BROWSER_PROCESS_NAMES = ['chrome', 'google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser'];
+
+function isBrowserRunning() {
+  const names = process.platform === 'darwin' ? ['Google Chrome'] : BROWSER_PROCESS_NAMES;
+  for (const name of names) {
+    try {
+      execSync(`pgrep -x "${name}"`, { stdio: 'ignore' });
+      return true;
+    } catch {}
+  }
+  return false;
+}
+
+function startBrowser() {
+  if (process.platform === 'darwin') {
+    execSync('open -a "Google Chrome"');
+    return;
+  }
+  const { findChrome } = require(path.join(LIB_DIR, 'blaunch.js'));
+  const binary = findChrome();
+  if (!binary) {
+    log.warn('No Chrome/Chromium found - start it manually');
+    return;
+  }
+  // Normal profile (no debugging port) so the Glider extension loads
+  spawn(binary, [], { detached: true, stdio: 'ignore' }).unref();
+}
+
+function focusBrowser() {
+  if (process.platform === 'darwin') {
+    try { execSync('open -a "Google Chrome"', { stdio: 'ignore' }); } catch {}
+  }
+}
+
+// Create a tab through the extension and bring it to front so /attach picks it
+async function openFreshTab(url) {
+  let result;
+  try {
+    result = await cdp('Target.createTarget', { url });
+  } catch {
+    // No window to put the tab in
+    result = await cdp('Target.createTarget', { url, newWindow: true });
+  }
+  if (result?.targetId) {
+    try { await cdp('Target.activateTarget', { targetId: result.targetId }); } catch {}
+  }
+  return result;
+}
+
+// POST /attach - attaches the active tab; prints tabs on success
+async function attachAndReport() {
+  try {
+    const data = await httpPost('/attach', {});
+    if (data.attached > 0) {
+      log.ok('Connected!');
+      const targets = await getTargets();
+      targets.slice(0, 3).forEach(t => {
+        console.log(`  ${CYAN}${t.targetInfo?.url || 'unknown'}${NC}`);
+      });
+      return true;
+    }
   } catch (e) {
-    log.fail(`Failed to stop: ${e.message}`);
+    log.warn(`Attach failed: ${e.message}`);
   }
+  return false;
 }
 
 async function cmdConnect() {
+  const connected = async () => ({ transport: TRANSPORT, tabs: (await getTargets()).map(tabInfo) });
+  
+  // Direct transport: nothing to attach, Chrome just has to be listening
+  if (TRANSPORT === 'direct') {
+    const chrome = await checkChrome();
+    if (!chrome.ok) {
+      log.info(`Start Chrome with --remote-debugging-port=${DEBUG_PORT}`);
+      throw new ConnectionError(`Chrome debugging not available on port ${DEBUG_PORT}`);
+    }
+    log.ok(`Connected to ${chrome.version.Browser} (direct)`);
+    const targets = await getTargets();
+    targets.slice(0, 3).forEach(t => {
+      console.log(`  ${CYAN}${t.targetInfo?.url || 'unknown'}${NC}`);
+    });
+    return connected();
+  }
+  
   // Bulletproof connect: relay + Chrome + trigger attach via HTTP
   log.info('Connecting...');
   
@@ -515,11 +1000,9 @@ async function cmdConnect() {
   }
   
   // 2. Ensure Chrome is running
-  try {
-    execSync('pgrep -x "Google Chrome"', { stdio: 'ignore' });
-  } catch {
+  if (!isBrowserRunning()) {
     log.info('Starting Chrome...');
-    execSync('open -a "Google Chrome"');
+    startBrowser();
     await new Promise(r => setTimeout(r, 3000));
   }
   
@@ -530,9 +1013,8 @@ async function cmdConnect() {
   }
   
   if (!await checkExtension()) {
-    log.fail('Extension not connected to relay');
     log.info('Make sure Glider extension is installed in Chrome');
-    process.exit(1);
+    throw new ExtensionError('Extension not connected to relay');
   }
   log.ok('Extension connected');
   
@@ -546,67 +1028,29 @@ async function cmdConnect() {
     targets.slice(0, 3).forEach(t => {
       console.log(`  ${CYAN}${t.targetInfo?.url || 'unknown'}${NC}`);
     });
-    return;
-  }
-  
-  // 5. Ensure we have a real tab (not chrome://)
-  try {
-    const tabUrl = execSync(`osascript -e 'tell application "Google Chrome" to return URL of active tab of front window'`).toString().trim();
-    if (tabUrl.startsWith('chrome://') || tabUrl.startsWith('chrome-extension://')) {
-      log.info('Creating new tab...');
-      execSync(`osascript -e 'tell application "Google Chrome" to make new tab at front window with properties {URL:"https://google.com"}'`);
-      await new Promise(r => setTimeout(r, 2000));
-    }
-  } catch {
-    // No window, create one
-    log.info('Creating new window...');
-    execSync(`osascript -e 'tell application "Google Chrome" to make new window with properties {URL:"https://google.com"}'`);
-    await new Promise(r => setTimeout(r, 2000));
+    return connected();
   }
   
-  // 6. Trigger attach via HTTP endpoint (no pixel clicking needed!)
+  // 5. Trigger attach via HTTP endpoint (no pixel clicking needed!)
   log.info('Attaching to tab...');
-  try {
-    const result = await fetch(`${SERVER_URL}/attach`, { method: 'POST' });
-    const data = await result.json();
-    
-    if (data.attached > 0) {
-      log.ok('Connected!');
-      const targets = await getTargets();
-      targets.slice(0, 3).forEach(t => {
-        console.log(`  ${CYAN}${t.targetInfo?.url || 'unknown'}${NC}`);
-      });
-      return;
-    }
-  } catch (e) {
-    log.warn(`Attach failed: ${e.message}`);
-  }
+  if (await attachAndReport()) return connected();
   
-  // 7. Fallback: create fresh tab and retry
+  // 6. Active tab is chrome:// or there's no window - open a real tab via CDP and retry
   log.info('Creating fresh tab...');
-  execSync(`osascript -e 'tell application "Google Chrome" to make new tab at front window with properties {URL:"https://google.com"}'`);
-  await new Promise(r => setTimeout(r, 2000));
-  
   try {
-    const result = await fetch(`${SERVER_URL}/attach`, { method: 'POST' });
-    const data = await result.json();
-    
-    if (data.attached > 0) {
-      log.ok('Connected!');
-      const targets = await getTargets();
-      targets.slice(0, 3).forEach(t => {
-        console.log(`  ${CYAN}${t.targetInfo?.url || 'unknown'}${NC}`);
-      });
-      return;
-    }
-  } catch {}
+    await openFreshTab('https://google.com');
+    await new Promise(r => setTimeout(r, 2000));
+    if (await attachAndReport()) return connected();
+  } catch (e) {
+    log.warn(`Tab creation failed: ${e.message}`);
+  }
   
-  // 8. Need manual click - open Chrome and show instructions
+  // 7. Need manual click - bring Chrome forward and show instructions
   log.warn('Click the Glider extension icon in Chrome');
   console.log(`  ${B5}(on any real webpage, not chrome:// pages)${NC}`);
-  execSync(`osascript -e 'tell application "Google Chrome" to activate'`);
+  focusBrowser();
   
-  // Send macOS notification so user sees it even if not looking at terminal
+  // Desktop notification so user sees it even if not looking at terminal
   notify('Glider', 'Click the extension icon in Chrome to connect', true);
   
   // Wait for user to click
@@ -620,59 +1064,73 @@ async function cmdConnect() {
       targets.slice(0, 3).forEach(t => {
         console.log(`  ${B5}${t.targetInfo?.url || 'unknown'}${NC}`);
       });
-      return;
+      return connected();
     }
   }
   
-  log.fail('Timed out waiting for connection');
   notify('Glider', 'Connection timed out - click extension icon', true);
   log.info('Make sure you clicked the extension icon on a real webpage');
+  throw new TimeoutError('Timed out waiting for connection');
 }
 
 async function cmdTest() {
   showBanner();
   log.box('DIAGNOSTICS');
-  
-  // Test 1: Server
-  const serverOk = await checkServer();
-  console.log(serverOk ? `  ${GREEN}✓${NC} ${B5}[1/4]${NC} Server` : `  ${RED}✗${NC} ${B5}[1/4]${NC} Server`);
-  if (!serverOk) {
-    log.info('Starting server...');
-    await cmdStart();
+  const checks = {};
+  
+  if (TRANSPORT === 'direct') {
+    // Tests 1-2: Chrome debugging endpoint (no relay, no extension)
+    const chrome = await checkChrome();
+    checks.chrome = chrome.ok;
+    console.log(chrome.ok ? `  ${GREEN}✓${NC} ${B5}[1/4]${NC} Chrome (direct)` : `  ${RED}✗${NC} ${B5}[1/4]${NC} Chrome (direct)`);
+    console.log(`  ${DIM}-${NC} ${B5}[2/4]${NC} Extension ${DIM}(not needed)${NC}`);
+  } else {
+    // Test 1: Server
+    const serverOk = await checkServer();
+    console.log(serverOk ? `  ${GREEN}✓${NC} ${B5}[1/4]${NC} Server` : `  ${RED}✗${NC} ${B5}[1/4]${NC} Server`);
+    if (!serverOk) {
+      log.info('Starting server...');
+      await cmdStart();
+    }
+    
+    checks.server = serverOk;
+    
+    // Test 2: Extension
+    const extOk = await checkExtension();
+    checks.extension = extOk;
+    console.log(extOk ? `  ${GREEN}✓${NC} ${B5}[2/4]${NC} Extension` : `  ${RED}✗${NC} ${B5}[2/4]${NC} Extension`);
   }
   
-  // Test 2: Extension
-  const extOk = await checkExtension();
-  console.log(extOk ? `  ${GREEN}✓${NC} ${B5}[2/4]${NC} Extension` : `  ${RED}✗${NC} ${B5}[2/4]${NC} Extension`);
-  
   // Test 3: Tab
   const tabOk = await checkTab();
+  checks.tab = tabOk;
   console.log(tabOk ? `  ${GREEN}✓${NC} ${B5}[3/4]${NC} Tab attached` : `  ${RED}✗${NC} ${B5}[3/4]${NC} No tabs`);
   
   // Test 4: CDP command
   if (tabOk) {
     try {
-      const result = await httpPost('/cdp', {
-        method: 'Runtime.evaluate',
-        params: { expression: '1+1', returnByValue: true }
-      });
+      const result = await cdp('Runtime.evaluate', { expression: '1+1', returnByValue: true });
       const cdpOk = result.result?.value === 2;
+      checks.cdp = cdpOk;
       console.log(cdpOk ? `${GREEN}[4/4]${NC} CDP: OK` : `${RED}[4/4]${NC} CDP: FAIL`);
     } catch {
+      checks.cdp = false;
       console.log(`${RED}[4/4]${NC} CDP: FAIL`);
     }
   } else {
+    checks.cdp = null;
     console.log(`${YELLOW}[4/4]${NC} CDP: SKIPPED (no tab)`);
   }
   
   console.log('═══════════════════════════════════════');
+  return { transport: TRANSPORT, checks };
 }
 
 async function cmdTabs() {
   const targets = await getTargets();
   if (targets.length === 0) {
     log.warn('No tabs connected');
-    return;
+    return [];
   }
   console.log(`${GREEN}${targets.length}${NC} tab(s) connected:\n`);
   targets.forEach((t, i) => {
@@ -681,11 +1139,12 @@ async function cmdTabs() {
     console.log(`  ${CYAN}[${i + 1}]${NC} ${title}`);
     console.log(`      ${DIM}${url}${NC}`);
   });
+  return targets.map(tabInfo);
 }
 
 async function cmdWindow(args) {
   const { WindowManager } = require(path.join(LIB_DIR, 'bwindow.js'));
-  const wm = new WindowManager();
+  const wm = new WindowManager({ transport: TRANSPORT });
   
   try {
     await wm.connect();
@@ -701,7 +1160,7 @@ async function cmdWindow(args) {
         const result = await wm.createWindow(url);
         log.ok(`Window created: ${result.targetId}`);
         console.log(JSON.stringify(result, null, 2));
-        break;
+        return result;
       }
       
       case 'tab': {
@@ -710,23 +1169,17 @@ async function cmdWindow(args) {
         const result = await wm.createTab(url);
         log.ok(`Tab created: ${result.targetId}`);
         console.log(JSON.stringify(result, null, 2));
-        break;
+        return result;
       }
       
       case 'close': {
         const targetId = args[1];
-        if (!targetId) {
-          log.fail('targetId required');
-          return;
-        }
+        if (!targetId) usage('Usage: glider window close <targetId>');
         log.info(`Closing: ${targetId}`);
         const result = await wm.closeTarget(targetId);
-        if (result.success) {
-          log.ok(`Closed: ${targetId}`);
-        } else {
-          log.fail(`Failed to close: ${result.error}`);
-        }
-        break;
+        if (!result.success) fail(`Failed to close: ${result.error}`);
+        log.ok(`Closed: ${targetId}`);
+        return { targetId, closed: true };
       }
       
       case 'closeall': {
@@ -734,22 +1187,16 @@ async function cmdWindow(args) {
         const results = await wm.closeAll();
         const success = results.filter(r => r.success).length;
         log.ok(`Closed ${success}/${results.length} tabs`);
-        break;
+        return results;
       }
       
       case 'focus': {
         const targetId = args[1];
-        if (!targetId) {
-          log.fail('targetId required');
-          return;
-        }
+        if (!targetId) usage('Usage: glider window focus <targetId>');
         const result = await wm.focusTarget(targetId);
-        if (result.success) {
-          log.ok(`Focused: ${targetId}`);
-        } else {
-          log.fail(`Failed to focus: ${result.error}`);
-        }
-        break;
+        if (!result.success) fail(`Failed to focus: ${result.error}`);
+        log.ok(`Focused: ${targetId}`);
+        return { targetId, focused: true };
       }
       
       case 'list':
@@ -765,11 +1212,9 @@ async function cmdWindow(args) {
             console.log(`      ${DIM}${t.url || 'unknown'}${NC}`);
           });
         }
-        break;
+        return targets;
       }
     }
-  } catch (err) {
-    log.fail(err.message);
   } finally {
     wm.close();
   }
@@ -780,7 +1225,7 @@ async function cmdDomains() {
   if (domainKeys.length === 0) {
     log.warn('No domains configured');
     log.info('Add domains to ~/.cursor/glider/domains.json or ~/.glider/domains.json');
-    return;
+    return {};
   }
   console.log(`${GREEN}${domainKeys.length}${NC} domain(s) configured:\n`);
   for (const key of domainKeys) {
@@ -791,74 +1236,65 @@ async function cmdDomains() {
     if (d.description) console.log(`      ${d.description}`);
     console.log(`      ${DIM}${target}${NC}`);
   }
+  return DOMAINS;
 }
 
 async function cmdOpen(url) {
   if (!url) {
-    log.fail('Usage: glider open <url>');
-    process.exit(1);
+    usage('Usage: glider open <url>');
   }
   
   // Open URL in default browser (not in connected tab)
   const { exec } = require('child_process');
   const cmd = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'start' : 'xdg-open';
-  exec(`${cmd} "${url}"`, (err) => {
-    if (err) {
-      log.fail(`Failed to open: ${err.message}`);
-      process.exit(1);
-    }
-    log.ok(`Opened: ${url}`);
-  });
+  try {
+    await new Promise((resolve, reject) => exec(`${cmd} "${url}"`, err => err ? reject(err) : resolve()));
+  } catch (err) {
+    fail(`Failed to open: ${err.message}`);
+  }
+  log.ok(`Opened: ${url}`);
+  return { url };
 }
 
 async function cmdHtml(selector) {
   try {
     const expression = selector 
-      ? `document.querySelector('${selector.replace(/'/g, "\\'")}')?.outerHTML || 'Element not found'`
+      ? `document.querySelector(${JSON.stringify(selector)})?.outerHTML ?? null`
       : 'document.documentElement.outerHTML';
     
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: { expression, returnByValue: true }
-    });
-    console.log(result.result?.value || '');
+    const html = await evalInPage(expression);
+    if (html === null) throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+    console.log(html);
+    return html;
   } catch (e) {
-    log.fail(`HTML extraction failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'HTML extraction failed');
   }
 }
 
 async function cmdTitle() {
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: { expression: 'document.title', returnByValue: true }
-    });
-    console.log(result.result?.value || '');
+    const title = await evalInPage('document.title') || '';
+    console.log(title);
+    return title;
   } catch (e) {
-    log.fail(`Title extraction failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Title extraction failed');
   }
 }
 
 async function cmdUrl() {
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: { expression: 'window.location.href', returnByValue: true }
-    });
-    console.log(result.result?.value || '');
+    const url = await evalInPage('window.location.href') || '';
+    console.log(url);
+    return url;
   } catch (e) {
-    log.fail(`URL extraction failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'URL extraction failed');
   }
 }
 
 // Fetch URL using browser session (authenticated)
 async function cmdFetch(url, opts = []) {
   if (!url) {
-    log.fail('Usage: glider fetch <url> [--output file]');
-    process.exit(1);
+    usage('Usage: glider fetch <url> [--output file]');
   }
   
   log.info(`Fetching: ${url}`);
@@ -871,22 +1307,13 @@ async function cmdFetch(url, opts = []) {
   }
   
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: `
-          (async () => {
-            const resp = await fetch(${JSON.stringify(url)});
-            const text = await resp.text();
-            try { return JSON.parse(text); } catch { return text; }
-          })()
-        `,
-        awaitPromise: true,
-        returnByValue: true
-      }
-    });
-    
-    const data = result?.result?.value;
+    const data = await evalInPage(`
+      (async () => {
+        const resp = await fetch(${JSON.stringify(url)});
+        const text = await resp.text();
+        try { return JSON.parse(text); } catch { return text; }
+      })()
+    `);
     const output = typeof data === 'object' ? JSON.stringify(data, null, 2) : data;
     
     if (outputFile) {
@@ -895,17 +1322,16 @@ async function cmdFetch(url, opts = []) {
     } else {
       console.log(output);
     }
+    return data;
   } catch (e) {
-    log.fail(`Fetch failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Fetch failed');
   }
 }
 
 // Spawn multiple tabs
 async function cmdSpawn(urls) {
   if (!urls || urls.length === 0) {
-    log.fail('Usage: glider spawn <url1> <url2> ...');
-    process.exit(1);
+    usage('Usage: glider spawn <url1> <url2> ...');
   }
   
   // Handle file input
@@ -919,10 +1345,7 @@ async function cmdSpawn(urls) {
   const results = [];
   for (const url of urls) {
     try {
-      const result = await httpPost('/cdp', {
-        method: 'Target.createTarget',
-        params: { url }
-      });
+      const result = await cdp('Target.createTarget', { url });
       results.push({ url, targetId: result?.targetId });
       log.ok(`Spawned: ${url}`);
     } catch (e) {
@@ -931,20 +1354,28 @@ async function cmdSpawn(urls) {
   }
   
   console.log(JSON.stringify(results, null, 2));
+  return results;
 }
 
 // Extract from multiple tabs
 async function cmdExtract(opts = []) {
+  const { extractParallel, allFailedError, resolveSessions, DEFAULT_LIMIT, DEFAULT_TIMEOUT, DEFAULT_CONCURRENCY } = require(path.join(LIB_DIR, 'bextract.js'));
   let js = 'document.body.innerText';
   let selector = null;
-  let limit = 10000;
-  let asJson = false;
+  let limit = DEFAULT_LIMIT;
+  let timeout = DEFAULT_TIMEOUT;
+  let concurrency = DEFAULT_CONCURRENCY;
+  let sessions = null;
+  let exclude = [];
   
   for (let i = 0; i < opts.length; i++) {
     if (opts[i] === '--js') js = opts[++i];
     else if (opts[i] === '--selector' || opts[i] === '-s') selector = opts[++i];
     else if (opts[i] === '--limit' || opts[i] === '-l') limit = parseInt(opts[++i], 10);
-    else if (opts[i] === '--json') asJson = true;
+    else if (opts[i] === '--timeout' || opts[i] === '-t') timeout = parseInt(opts[++i], 10);
+    else if (opts[i] === '--concurrency' || opts[i] === '-c') concurrency = parseInt(opts[++i], 10);
+    else if (opts[i] === '--sessions') sessions = opts[++i].split(',');
+    else if (opts[i] === '--exclude' || opts[i] === '-x') exclude = opts[++i].split(',');
   }
   
   if (selector) {
@@ -954,40 +1385,33 @@ async function cmdExtract(opts = []) {
   log.info('Extracting from connected tabs...');
   
   try {
-    const targets = await getTargets();
-    if (targets.length === 0) {
-      log.warn('No tabs connected');
-      return;
+    const t = await getTransport();
+    const tabs = await resolveSessions(t, { sessions, exclude });
+    if (tabs.length === 0) {
+      log.warn(sessions || exclude.length ? 'No matching tabs' : 'No tabs connected');
+      return [];
     }
     
-    const results = [];
-    for (const target of targets) {
-      const url = target.targetInfo?.url || 'unknown';
-      try {
-        const result = await httpPost('/cdp', {
-          method: 'Runtime.evaluate',
-          params: {
-            expression: js,
-            returnByValue: true
-          }
-        });
-        const text = String(result?.result?.value || '').slice(0, limit);
-        results.push({ url, text });
-        if (!asJson) {
-          console.log(`\n--- ${url} ---`);
-          console.log(text);
-        }
-      } catch (e) {
-        results.push({ url, error: e.message });
-      }
-    }
+    // One evaluation per tab, each in its own session
+    const bySession = await extractParallel(t, tabs, js, { limit, timeout, concurrency, quiet: true });
+    const results = tabs.map(({ sessionId }) => {
+      const { url, content, error } = bySession[sessionId];
+      return error
+        ? { sessionId, url: url || 'unknown', error }
+        : { sessionId, url: url || 'unknown', text: String(content ?? '') };
+    });
     
-    if (asJson) {
-      console.log(JSON.stringify(results, null, 2));
+    for (const r of results) {
+      console.log(`\n--- ${r.url} ---`);
+      if (r.error) log.fail(r.error);
+      else console.log(r.text);
     }
+    // Some tabs failing is a partial result; all of them is a failed command
+    const failure = allFailedError(bySession);
+    if (failure) throw Object.assign(failure, { data: results });
+    return results;
   } catch (e) {
-    log.fail(`Extract failed: ${e.message}`);
-    process.exit(1);
+    throw withContext(e, 'Extract failed');
   }
 }
 
@@ -998,7 +1422,7 @@ async function cmdRegistry(patternName, opts = []) {
     const patterns = Object.keys(REGISTRY);
     if (patterns.length === 0) {
       log.warn('No patterns in registry');
-      return;
+      return [];
     }
     console.log(`${GREEN}${patterns.length}${NC} pattern(s) available:\n`);
     for (const name of patterns) {
@@ -1006,14 +1430,13 @@ async function cmdRegistry(patternName, opts = []) {
       console.log(`  ${CYAN}${name}${NC}`);
       console.log(`      ${DIM}${p.description || 'No description'}${NC}`);
     }
-    return;
+    return patterns.map(name => ({ name, description: REGISTRY[name].description || null }));
   }
 
   const pattern = REGISTRY[patternName];
   if (!pattern) {
-    log.fail(`Pattern not found: ${patternName}`);
     log.info('Run "glider registry" to see available patterns');
-    process.exit(1);
+    fail(`Pattern not found: ${patternName}`);
   }
 
   // Parse options - for favicon: glider favicon [output.webp]
@@ -1045,37 +1468,22 @@ async function cmdRegistry(patternName, opts = []) {
   log.info(`Running pattern: ${patternName}`);
 
   try {
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: pattern.pattern,
-        returnByValue: true,
-        awaitPromise: true,
-      }
-    });
-
-    let value = result?.result?.value;
+    let value = await evalInPage(pattern.pattern);
     
     if (value === undefined || value === null) {
-      log.fail('Pattern returned no value');
-      process.exit(1);
+      fail('Pattern returned no value');
     }
 
     // Handle postprocessing for favicon
     if (patternName === 'favicon' && pattern.postprocess) {
       const base64 = value;
       if (!base64 || base64.length < 50) {
-        log.fail('No favicon data received');
-        process.exit(1);
+        fail('No favicon data received');
       }
 
       // Determine output path
       if (!outputFile) {
-        const currentUrl = await httpPost('/cdp', {
-          method: 'Runtime.evaluate',
-          params: { expression: 'window.location.hostname', returnByValue: true }
-        });
-        const hostname = currentUrl?.result?.value?.replace(/^www\./, '').split('.')[0] || 'favicon';
+        const hostname = (await evalInPage('window.location.hostname'))?.replace(/^www\./, '').split('.')[0] || 'favicon';
         outputFile = `/tmp/${hostname}-favicon.webp`;
       }
 
@@ -1128,7 +1536,7 @@ async function cmdRegistry(patternName, opts = []) {
       }
 
       console.log(outputFile);
-      return;
+      return { pattern: patternName, file: outputFile };
     }
 
     // Standard output
@@ -1143,17 +1551,17 @@ async function cmdRegistry(patternName, opts = []) {
         console.log(value);
       }
     }
+    return outputFile ? { pattern: patternName, file: outputFile } : value;
   } catch (e) {
-    log.fail(`Pattern failed: ${e.message}`);
-    process.exit(1);
+    if (e instanceof GliderError) throw e;
+    throw withContext(e, 'Pattern failed');
   }
 }
 
 // Explore site (clicks around, captures network)
 async function cmdExplore(url, opts = []) {
   if (!url) {
-    log.fail('Usage: glider explore <url> [--depth N] [--output dir] [--har file]');
-    process.exit(1);
+    usage('Usage: glider explore <url> [--depth N] [--output dir] [--har file]');
   }
   
   let depth = 2;
@@ -1175,27 +1583,21 @@ async function cmdExplore(url, opts = []) {
     const spawnArgs = [bexplorePath, url, '--depth', String(depth), '--output', outputDir];
     if (harFile) spawnArgs.push('--har', harFile);
     
+    // Machine-readable modes keep stdout for the result - the explorer's progress goes to stderr
     const child = spawn('node', spawnArgs, {
-      stdio: 'inherit'
+      stdio: ['inherit', OUTPUT === 'text' ? 'inherit' : 2, 'inherit']
     });
     await new Promise((resolve, reject) => {
-      child.on('close', code => code === 0 ? resolve() : reject(new Error(`Exit code: ${code}`)));
+      child.on('close', code => code === 0 ? resolve() : reject(new GliderError(`Explore failed: exit code ${code}`)));
     });
+    return { url, depth, outputDir, har: harFile };
   } else {
     // Fallback: simple exploration
     await cmdGoto(url);
     await new Promise(r => setTimeout(r, 2000));
     
     // Get all links
-    const result = await httpPost('/cdp', {
-      method: 'Runtime.evaluate',
-      params: {
-        expression: `Array.from(document.querySelectorAll('a[href]')).map(a => a.href).filter(h => h.startsWith('http'))`,
-        returnByValue: true
-      }
-    });
-    
-    const links = result?.result?.value || [];
+    const links = await evalInPage(`Array.from(document.querySelectorAll('a[href]')).map(a => a.href).filter(h => h.startsWith('http'))`) || [];
     log.ok(`Found ${links.length} links`);
     
     fs.mkdirSync(outputDir, { recursive: true });
@@ -1205,14 +1607,566 @@ async function cmdExplore(url, opts = []) {
     await cmdScreenshot(path.join(outputDir, 'screenshot.png'));
     
     log.ok(`Output saved to ${outputDir}`);
+    return { url, depth, outputDir, links: links.length };
   }
 }
 
 // YAML Task Runner
-async function cmdRun(taskFile) {
+// ═══════════════════════════════════════════════════════════════════
+// TASK VARIABLES - vars: block, --var overrides, {{name}} templating, save_as
+// ═══════════════════════════════════════════════════════════════════
+
+const VAR_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// --var key=value (repeatable) -> [{ key: value }, remaining args]
+function parseVarFlags(opts) {
+  const vars = {};
+  const rest = [];
+  for (let i = 0; i < opts.length; i++) {
+    const raw = opts[i] === '--var' ? opts[++i] : opts[i].startsWith('--var=') ? opts[i].slice(6) : null;
+    if (raw === null) {
+      rest.push(opts[i]);
+      continue;
+    }
+    const eq = raw?.indexOf('=') ?? -1;
+    if (eq < 1) throw new UsageError(`--var expects key=value, got: ${raw}`);
+    vars[raw.slice(0, eq)] = raw.slice(eq + 1);
+  }
+  return [vars, rest];
+}
+
+// {{user.id}} -> vars.user.id, {{env.HOME}} -> process.env.HOME
+function lookupVar(vars, name) {
+  let value = vars;
+  for (const key of name.split('.')) {
+    if (value === null || value === undefined || !(key in Object(value))) {
+      throw new UsageError(`Unknown variable: {{${name}}}`);
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+// Fill {{name}} in a step argument (strings, arrays, objects). A string that is
+// just one reference keeps the value's type, so lists and numbers pass through.
+function interpolate(value, vars) {
+  if (typeof value === 'string') {
+    const whole = value.match(/^\{\{\s*([\w.-]+)\s*\}\}$/);
+    if (whole) return lookupVar(vars, whole[1]);
+    return value.replace(VAR_PATTERN, (_, name) => {
+      const v = lookupVar(vars, name);
+      return v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v);
+    });
+  }
+  if (Array.isArray(value)) return value.map(v => interpolate(v, vars));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, interpolate(v, vars)]));
+  }
+  return value;
+}
+
+// Variables for one task run: env, then --var overrides, then the task's vars: block
+// (in order, so later vars can use earlier ones)
+function buildTaskVars(task, cliVars = {}) {
+  const vars = { env: process.env, ...cliVars };
+  for (const [key, value] of Object.entries(task.vars || {})) {
+    if (key in cliVars) continue;
+    vars[key] = interpolate(value, vars);
+  }
+  return vars;
+}
+
+function saveVar(vars, name, value) {
+  if (name === 'env' || name === 'run') throw new UsageError(`save_as: "${name}" is reserved`);
+  vars[name] = value;
+  const preview = typeof value === 'string' ? value : JSON.stringify(value);
+  log.info(`Saved {{${name}}} = ${String(preview).slice(0, 60)}${String(preview).length > 60 ? '...' : ''}`);
+}
+
+// Block-scoped names (foreach/repeat as:, include with: and fragment vars) - the returned
+// function puts the parent's values back, or removes names the parent didn't have
+function scopeVars(vars, names) {
+  const saved = names.map(name => [name, Object.prototype.hasOwnProperty.call(vars, name), vars[name]]);
+  return () => {
+    for (const [name, had, value] of saved) {
+      if (had) vars[name] = value;
+      else delete vars[name];
+    }
+  };
+}
+
+// Wait steps - string shorthand or an options object, timeouts in seconds like `wait: N`
+// Returns { target, opts } with opts in BrowserCDP's ms units
+function waitStepArgs(arg, key) {
+  if (arg === null || typeof arg !== 'object') return { target: arg, opts: {} };
+  const opts = {};
+  if (arg.timeout !== undefined) opts.timeout = arg.timeout * 1000;
+  if (arg.visible) opts.visible = true;
+  if (arg.hidden) opts.hidden = true;
+  return { target: arg[key], opts };
+}
+
+// wait_until / timeout (seconds) / allow_http_errors from the step's argument object, else from the step itself
+function stepNavOptions(arg, step) {
+  const options = {};
+  const waitUntil = arg.wait_until ?? step.wait_until;
+  const timeout = arg.timeout ?? step.timeout;
+  if (waitUntil !== undefined) options.waitUntil = String(waitUntil);
+  if (timeout !== undefined) options.timeout = Number(timeout);
+  if (arg.allow_http_errors ?? step.allow_http_errors) options.allowHttpErrors = true;
+  return options;
+}
+
+async function stepWaitFor(cmd, arg) {
+  const page = await getPage();
+  const start = Date.now();
+  const took = () => `${((Date.now() - start) / 1000).toFixed(1)}s`;
+  
+  switch (cmd) {
+    case 'wait_for': {
+      const { target, opts } = waitStepArgs(arg, 'selector');
+      await page.waitForSelector(target, opts);
+      log.ok(`${target} ${opts.hidden ? 'hidden' : opts.visible ? 'visible' : 'found'} (${took()})`);
+      break;
+    }
+    case 'wait_for_url': {
+      const { target, opts } = waitStepArgs(arg, 'url');
+      log.ok(`URL: ${await page.waitForUrl(target, opts)} (${took()})`);
+      break;
+    }
+    case 'wait_for_network_idle': {
+      // true | idle seconds | { idle, timeout }
+      const o = arg !== null && typeof arg === 'object' ? arg : {};
+      const idle = typeof arg === 'number' ? arg : (o.idle ?? 0.5);
+      const opts = { timeout: idle * 1000 };
+      if (o.timeout !== undefined) opts.maxWait = o.timeout * 1000;
+      await page.waitForNetwork(opts);
+      log.ok(`Network idle (${took()})`);
+      break;
+    }
+    case 'wait_for_function': {
+      const { target, opts } = waitStepArgs(arg, 'js');
+      await page.waitForFunction(target, opts);
+      log.ok(`Condition met (${took()})`);
+      break;
+    }
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// TASK ENGINE - runs a step list; if/foreach/repeat/while/include nest
+// ═══════════════════════════════════════════════════════════════════
+
+const MAX_INCLUDE_DEPTH = 10;
+const DEFAULT_WHILE_MAX = 100;
+const MAX_GOTO_JUMPS = 100;
+const DEFAULT_CIRCUIT_BREAKER = 5;
+
+// Keys that configure a step rather than name it - `- label: x` before the command is fine
+const STEP_OPTION_KEYS = ['label', 'save_as', 'retry', 'on_error', 'then', 'else', 'steps', 'as', 'max', 'with', 'to', 'key', 'fields', 'format', 'delay', 'wait_until', 'timeout'];
+
+// Blocks of steps - retrying one would re-run steps inside it that already succeeded
+const CONTROL_FLOW_STEPS = ['if', 'foreach', 'repeat', 'while', 'include'];
+
+function stepCommand(step) {
+  const entry = Object.entries(step || {}).find(([key]) => !STEP_OPTION_KEYS.includes(key));
+  if (!entry) throw new UsageError(`Step has no command: ${JSON.stringify(step)}`);
+  return entry;
+}
+
+// retry: 3 | { attempts, backoff, max_delay, jitter } - seconds, doubling per failure
+function retryPolicy(spec, defaults = {}) {
+  const base = { attempts: 1, backoff: 1, max_delay: 30, jitter: 0, ...defaults };
+  if (spec === undefined || spec === null) return base;
+  if (typeof spec === 'number') return { ...base, attempts: spec };
+  return { ...base, ...spec };
+}
+
+// Delay before the next try after `failures` consecutive failures
+function backoffDelay(policy, failures) {
+  const delay = Math.min(policy.max_delay, policy.backoff * Math.pow(2, failures - 1));
+  return delay * (1 + policy.jitter * Math.random());
+}
+
+// Step context: { vars, baseDir (for include), includeStack, failed, lastOutput,
+//                 retry/onError defaults, breaker, consecutiveFailures,
+//                 collectors (open collect: sinks by file), newRecords (collected this run/iteration),
+//                 steps (one record per finished step, for --json/--output ndjson), iteration (in a loop) }
+// taskFile is null for inline loop prompts - includes then resolve from cwd
+function createTaskContext(task, taskFile, cliVars = {}) {
+  const file = taskFile ? path.resolve(taskFile) : null;
+  return {
+    vars: buildTaskVars(task, cliVars),
+    baseDir: file ? path.dirname(file) : process.cwd(),
+    includeStack: file ? [file] : [],
+    failed: false,
+    lastOutput: undefined,
+    retry: task.retry,
+    onError: task.on_error,
+    breaker: task.circuit_breaker ?? DEFAULT_CIRCUIT_BREAKER,
+    consecutiveFailures: 0,
+    collectors: {},
+    newRecords: null,
+    steps: [],
+    iteration: null,
+  };
+}
+
+// Finished step -> ctx.steps, and one NDJSON 'step' event as it happens
+function reportStep(ctx, record) {
+  if (ctx.iteration !== null) record = { iteration: ctx.iteration, ...record };
+  ctx.steps.push(record);
+  emitEvent('step', record);
+}
+
+// Top-level emulate: (same forms as the step) - every run/iteration starts from a full
+// reset plus these settings, so emulate: steps don't carry into the next iteration
+async function applyTaskEmulation(task, ctx) {
+  if (task.emulate === undefined || task.emulate === null) return;
+  await (await getPage()).resetEmulation();
+  await cmdEmulate(stepEmulateOptions(interpolate(task.emulate, ctx.vars)));
+}
+
+// ...and cleared when the run/loop ends - with the relay it would outlive this process
+async function clearTaskEmulation(task) {
+  if (task.emulate === undefined || task.emulate === null) return;
+  try {
+    await (await getPage()).resetEmulation();
+  } catch (e) {
+    log.warn(`Could not clear task emulation: ${e.message}`);
+  }
+}
+
+// retry: on an if/foreach/repeat/while/include block -> UsageError, before anything runs
+// (task file at load, included files before their first step)
+function checkBlockRetries(steps) {
+  for (const step of Array.isArray(steps) ? steps : []) {
+    const cmd = Object.keys(step || {}).find(key => !STEP_OPTION_KEYS.includes(key));
+    if (CONTROL_FLOW_STEPS.includes(cmd) && step.retry !== undefined) {
+      throw new UsageError(`retry: doesn't apply to ${cmd}: blocks - put it on the steps inside`);
+    }
+    for (const key of ['then', 'else', 'steps']) checkBlockRetries(step?.[key]);
+  }
+}
+
+// on_error: goto <label> jumps within this list, or the nearest enclosing one that has it
+async function runSteps(steps, ctx, depth = 0) {
+  if (!Array.isArray(steps)) throw new UsageError('Expected a list of steps');
+  let jumps = 0;
+  for (let i = 0; i < steps.length;) {
+    try {
+      await runStep(steps[i], ctx, `${i + 1}/${steps.length}`, depth);
+      i++;
+    } catch (e) {
+      const target = e instanceof StepGoto ? steps.findIndex(s => s?.label === e.label) : -1;
+      if (target === -1) throw e;
+      if (++jumps > MAX_GOTO_JUMPS) throw new TaskAbort(`goto ${e.label}: more than ${MAX_GOTO_JUMPS} jumps`);
+      log.info(`${'  '.repeat(depth)}goto ${e.label}`);
+      i = target;
+    }
+  }
+}
+
+// One step with its retry policy; failures then go to on_error (continue | abort | goto <label>)
+async function runStep(step, ctx, label, depth = 0) {
+  const [cmd, rawArg] = stepCommand(step);
+  const indent = '  '.repeat(depth);
+  // Blocks aren't retried (checkBlockRetries) - the task's retry: default reaches their steps instead
+  const policy = retryPolicy(CONTROL_FLOW_STEPS.includes(cmd) ? undefined : step.retry ?? ctx.retry);
+  const onError = String(step.on_error ?? ctx.onError ?? 'continue');
+  
+  const format = (value) => value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value);
+  let argText;
+  try {
+    argText = format(interpolate(rawArg, ctx.vars));
+  } catch {
+    argText = format(rawArg);
+  }
+  log.step(`${indent}[${label}] ${cmd}: ${argText.slice(0, 60)}${argText.length > 60 ? '...' : ''}`);
+  
+  const started = Date.now();
+  let error = null;
+  let output;
+  let attempts = 0;
+  for (let attempt = 1; attempt <= policy.attempts; attempt++) {
+    attempts = attempt;
+    try {
+      // Interpolate per attempt - a retry sees variables saved in the meantime
+      output = await executeStep(cmd, interpolate(rawArg, ctx.vars), rawArg, step, ctx, depth);
+      if (output !== undefined) {
+        ctx.lastOutput = output;
+        ctx.outputs?.push(output);
+      }
+      if (step.save_as) saveVar(ctx.vars, step.save_as, output);
+      error = null;
+      break;
+    } catch (e) {
+      // Signals from nested blocks pass straight through
+      if (e instanceof TaskAbort || e instanceof StepGoto) throw e;
+      error = e;
+      log.fail(`${indent}Step failed: ${e.message}`);
+      if (attempt < policy.attempts) {
+        const delay = backoffDelay(policy, attempt);
+        log.info(`${indent}Retry ${attempt + 1}/${policy.attempts} in ${delay.toFixed(1)}s`);
+        await new Promise(r => setTimeout(r, delay * 1000));
+      }
+    }
+  }
+  
+  if (depth === 0) console.log('');
+  reportStep(ctx, {
+    step: label,
+    depth,
+    command: cmd,
+    arg: argText,
+    status: error ? 'failed' : 'ok',
+    attempts,
+    durationMs: Date.now() - started,
+    output: output ?? null,
+    error: error ? error.message : null,
+    code: error ? toGliderError(error).code : null,
+  });
+  if (!error) {
+    ctx.consecutiveFailures = 0;
+    return;
+  }
+  
+  ctx.consecutiveFailures++;
+  if (ctx.breaker && ctx.consecutiveFailures >= ctx.breaker) {
+    throw new TaskAbort(`circuit breaker: ${ctx.consecutiveFailures} consecutive failed steps`);
+  }
+  // Handed to a recovery label - the run only fails if recovery does (breaker, jump limit, no such label)
+  if (onError.startsWith('goto ')) throw new StepGoto(onError.slice(5).trim());
+  ctx.failed = true;
+  if (onError === 'abort') throw new TaskAbort(`aborted at ${cmd}: ${error.message}`);
+  if (onError !== 'continue') throw new TaskAbort(`Unknown on_error: ${onError} (continue, abort or goto <label>)`);
+}
+
+// Runs one step's command, returns its output (eval/text/fetch) for save_as
+async function executeStep(cmd, arg, rawArg, step, ctx, depth) {
+  const indent = '  '.repeat(depth);
+  let output;
+  switch (cmd) {
+    case 'goto':
+    case 'navigate':
+      // "url" or { url, wait_until, timeout } - options may also sit next to goto:
+      if (arg !== null && typeof arg === 'object') {
+        await cmdGoto(arg.url, stepNavOptions(arg, step));
+      } else {
+        await cmdGoto(arg, stepNavOptions({}, step));
+      }
+      break;
+    case 'back':
+    case 'forward':
+    case 'reload':
+      // true, or { wait_until, timeout }
+      await cmdHistory(cmd, stepNavOptions(arg !== null && typeof arg === 'object' ? arg : {}, step));
+      break;
+    case 'wait':
+    case 'sleep':
+      await new Promise(r => setTimeout(r, arg * 1000));
+      log.ok(`Waited ${arg}s`);
+      break;
+    case 'wait_for':
+    case 'wait_for_url':
+    case 'wait_for_network_idle':
+    case 'wait_for_function':
+      await stepWaitFor(cmd, arg);
+      break;
+    case 'eval':
+    case 'js':
+      output = await cmdEval(arg);
+      break;
+    case 'click':
+      await cmdClick(arg);
+      break;
+    case 'type':
+      // [selector, text] or { selector, text, delay }
+      if (Array.isArray(arg)) {
+        await cmdType(arg[0], arg[1], { delay: step.delay });
+      } else if (arg && typeof arg === 'object') {
+        await cmdType(arg.selector, arg.text, { delay: arg.delay });
+      } else {
+        throw new UsageError('type: needs [selector, text] or { selector, text, delay }');
+      }
+      break;
+    case 'press':
+      await cmdPress(Array.isArray(arg) ? arg : [arg]);
+      break;
+    case 'screenshot':
+      // "path" or { path, full_page, selector, format, quality, scale }
+      if (arg !== null && typeof arg === 'object') {
+        await cmdScreenshot(arg.path, {
+          fullPage: !!arg.full_page,
+          selector: arg.selector,
+          format: arg.format,
+          quality: arg.quality,
+          scale: arg.scale,
+        });
+      } else {
+        await cmdScreenshot(arg);
+      }
+      break;
+    case 'pdf':
+      // "path" or { path, format, width, height, landscape, margin, print_background,
+      //             page_ranges, header_template, footer_template, scale, prefer_css_page_size }
+      if (arg !== null && typeof arg === 'object') {
+        await cmdPdf(arg.path, {
+          format: arg.format,
+          width: arg.width,
+          height: arg.height,
+          landscape: arg.landscape,
+          margin: arg.margin,
+          printBackground: arg.print_background,
+          pageRanges: arg.page_ranges,
+          headerTemplate: arg.header_template,
+          footerTemplate: arg.footer_template,
+          scale: arg.scale,
+          preferCSSPageSize: arg.prefer_css_page_size,
+        });
+      } else {
+        await cmdPdf(arg);
+      }
+      break;
+    case 'emulate':
+      await cmdEmulate(stepEmulateOptions(arg));
+      break;
+    case 'text':
+      output = await cmdText();
+      break;
+    case 'fetch':
+      output = await cmdFetch(arg);
+      break;
+    case 'collect': {
+      // collect: "<js>" | list | "{{var}}", to: file.jsonl|.csv, key: field(s) to dedupe on
+      if (!step.to) throw new UsageError('collect: needs to: <file.jsonl|file.csv>');
+      const { Collector } = require(path.join(LIB_DIR, 'bcollect.js'));
+      const file = path.resolve(interpolate(step.to, ctx.vars));
+      const sink = ctx.collectors[file] ||= new Collector(file, {
+        format: step.format,
+        key: interpolate(step.key ?? null, ctx.vars),
+        fields: step.fields,
+      });
+      const records = typeof arg === 'string' ? await evalInPage(arg) : arg;
+      if (records === undefined || records === null) throw new Error('collect: expression returned nothing');
+      const { added, skipped } = sink.add(records);
+      ctx.newRecords = (ctx.newRecords || 0) + added;
+      log.ok(`Collected ${added} new, ${skipped} seen (${sink.count} in ${path.basename(file)})`);
+      output = { added, skipped, total: sink.count };
+      break;
+    }
+    case 'log':
+    case 'echo':
+      console.log(`${BLUE}[LOG]${NC} ${arg}`);
+      break;
+    case 'assert': {
+      const value = await evalInPage(arg);
+      if (value === true) {
+        log.ok('Assertion passed');
+      } else {
+        throw new Error(`Assertion failed: ${JSON.stringify(value)}`);
+      }
+      break;
+    }
+    
+    // Control flow - nested step lists are interpolated when they run, not up front
+    case 'if': {
+      const branch = await evalInPage(arg) ? 'then' : 'else';
+      log.info(`${indent}${branch}`);
+      await runSteps(step[branch] || [], ctx, depth + 1);
+      break;
+    }
+    case 'foreach': {
+      // foreach: "<js array expr>" or a list ({{var}} or inline), as: item
+      const items = Array.isArray(arg) ? arg : await evalInPage(arg);
+      if (!Array.isArray(items)) throw new Error(`foreach: expected an array, got ${typeof items}`);
+      const as = step.as || 'item';
+      const restore = scopeVars(ctx.vars, [as, `${as}_index`]);
+      try {
+        for (let i = 0; i < items.length; i++) {
+          ctx.vars[as] = items[i];
+          ctx.vars[`${as}_index`] = i;
+          log.info(`${indent}${as} ${i + 1}/${items.length}`);
+          await runSteps(step.steps || [], ctx, depth + 1);
+        }
+      } finally {
+        restore();
+      }
+      break;
+    }
+    case 'repeat': {
+      const times = parseInt(arg, 10);
+      if (!(times >= 0)) throw new UsageError(`repeat: expected a count, got ${arg}`);
+      const as = step.as || 'index';
+      const restore = scopeVars(ctx.vars, [as]);
+      try {
+        for (let i = 0; i < times; i++) {
+          ctx.vars[as] = i;
+          log.info(`${indent}${i + 1}/${times}`);
+          await runSteps(step.steps || [], ctx, depth + 1);
+        }
+      } finally {
+        restore();
+      }
+      break;
+    }
+    case 'while': {
+      // Condition is re-interpolated each pass so it can use saved vars
+      const max = step.max ?? DEFAULT_WHILE_MAX;
+      let count = 0;
+      while (await evalInPage(interpolate(rawArg, ctx.vars))) {
+        if (count >= max) throw new Error(`while: still true after ${max} iterations (raise max:)`);
+        count++;
+        log.info(`${indent}pass ${count}`);
+        await runSteps(step.steps || [], ctx, depth + 1);
+      }
+      log.ok(`Condition false after ${count} pass(es)`);
+      break;
+    }
+    case 'include': {
+      const file = path.resolve(ctx.baseDir, arg);
+      if (ctx.includeStack.includes(file)) throw new UsageError(`include cycle: ${path.basename(file)}`);
+      if (ctx.includeStack.length > MAX_INCLUDE_DEPTH) throw new UsageError(`include nested deeper than ${MAX_INCLUDE_DEPTH}`);
+      if (!fs.existsSync(file)) throw new UsageError(`include not found: ${file}`);
+      
+      const sub = YAML.parse(fs.readFileSync(file, 'utf8')) || {};
+      checkBlockRetries(sub.steps);
+      // Fragment vars are defaults; with: sets parameters for this include - both end with it
+      const params = interpolate(step.with || {}, ctx.vars);
+      const restore = scopeVars(ctx.vars, [...Object.keys(sub.vars || {}), ...Object.keys(params)]);
+      for (const [key, value] of Object.entries(sub.vars || {})) {
+        if (!(key in ctx.vars)) ctx.vars[key] = interpolate(value, ctx.vars);
+      }
+      Object.assign(ctx.vars, params);
+      
+      // A fragment's own retry/on_error apply to its steps
+      const subCtx = {
+        ...ctx,
+        baseDir: path.dirname(file),
+        includeStack: [...ctx.includeStack, file],
+        failed: false,
+        retry: sub.retry ?? ctx.retry,
+        onError: sub.on_error ?? ctx.onError,
+      };
+      try {
+        await runSteps(sub.steps || [], subCtx, depth + 1);
+      } finally {
+        ctx.consecutiveFailures = subCtx.consecutiveFailures;
+        restore();
+      }
+      if (subCtx.failed) ctx.failed = true;
+      if (subCtx.lastOutput !== undefined) ctx.lastOutput = subCtx.lastOutput;
+      break;
+    }
+    default:
+      log.warn(`Unknown command: ${cmd}`);
+  }
+  return output;
+}
+
+async function cmdRun(taskFile, cliVars = {}) {
   if (!taskFile || !fs.existsSync(taskFile)) {
-    log.fail(`Task file not found: ${taskFile}`);
-    process.exit(1);
+    usage(`Task file not found: ${taskFile}`);
   }
   
   const content = fs.readFileSync(taskFile, 'utf8');
@@ -1225,106 +2179,188 @@ async function cmdRun(taskFile) {
   console.log('');
   
   if (!task.steps || !Array.isArray(task.steps)) {
-    log.fail('No steps defined in task file');
-    process.exit(1);
+    usage('No steps defined in task file');
   }
+  checkBlockRetries(task.steps);
   
-  let failed = false;
+  let ctx;
+  try {
+    ctx = createTaskContext(task, taskFile, cliVars);
+  } catch (e) {
+    usage(`vars: ${e.message}`);
+  }
   
-  for (let i = 0; i < task.steps.length; i++) {
-    const step = task.steps[i];
-    const [cmd, arg] = Object.entries(step)[0];
-    const stepNum = i + 1;
-    
-    log.step(`[${stepNum}/${task.steps.length}] ${cmd}: ${String(arg).slice(0, 60)}${String(arg).length > 60 ? '...' : ''}`);
-    
-    try {
-      switch (cmd) {
-        case 'goto':
-        case 'navigate':
-          await cmdGoto(arg);
-          break;
-        case 'wait':
-        case 'sleep':
-          await new Promise(r => setTimeout(r, arg * 1000));
-          log.ok(`Waited ${arg}s`);
-          break;
-        case 'eval':
-        case 'js':
-          await cmdEval(arg);
-          break;
-        case 'click':
-          await cmdClick(arg);
-          break;
-        case 'type':
-          if (Array.isArray(arg)) {
-            await cmdType(arg[0], arg[1]);
-          }
-          break;
-        case 'screenshot':
-          await cmdScreenshot(arg);
-          break;
-        case 'text':
-          await cmdText();
-          break;
-        case 'log':
-        case 'echo':
-          console.log(`${BLUE}[LOG]${NC} ${arg}`);
-          break;
-        case 'assert':
-          const assertResult = await httpPost('/cdp', {
-            method: 'Runtime.evaluate',
-            params: { expression: arg, returnByValue: true }
-          });
-          if (assertResult.result?.value === true) {
-            log.ok('Assertion passed');
-          } else {
-            log.fail(`Assertion failed: ${JSON.stringify(assertResult.result?.value)}`);
-            failed = true;
-          }
-          break;
-        default:
-          log.warn(`Unknown command: ${cmd}`);
+  let aborted = null;
+  try {
+    await applyTaskEmulation(task, ctx);
+    await runSteps(task.steps, ctx);
+  } catch (e) {
+    // on_error: abort, circuit breaker, or a goto whose label doesn't exist
+    if (!(e instanceof TaskAbort || e instanceof StepGoto)) throw e;
+    log.fail(`Task aborted: ${e.message}`);
+    aborted = e.message;
+    ctx.failed = true;
+  } finally {
+    await clearTaskEmulation(task);
+  }
+
+  const { env, run, ...vars } = ctx.vars;
+  const result = {
+    task: task.name || null,
+    file: path.resolve(taskFile),
+    status: ctx.failed ? 'failed' : 'completed',
+    aborted,
+    steps: ctx.steps,
+    vars,
+  };
+
+  console.log('═══════════════════════════════════════════════════════════');
+  // main() prints the failure and exits 10 (TASK_FAILED)
+  if (ctx.failed) throw new TaskError('Task failed', { data: result });
+  console.log(`${GREEN}  ✓ Task completed successfully${NC}`);
+  console.log('═══════════════════════════════════════════════════════════');
+  return result;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// LOOP COMPLETION - until: conditions, any one ends the loop
+// ═══════════════════════════════════════════════════════════════════
+//   until:
+//     js: "<predicate>"          evaluated in the page
+//     selector: ".done"          element appears
+//     selector_gone: ".spinner"  element disappears
+//     url: "/done" | "/regex/"   current URL matches
+//     output: "regex"            all step output so far
+//     no_new_data: 3             iterations in a row with the same output
+// A list of maps works too (same "any" semantics).
+
+const UNTIL_TYPES = ['js', 'selector', 'selector_gone', 'url', 'output', 'no_new_data'];
+const OUTPUT_HISTORY_LIMIT = 100000; // chars of output kept for until.output
+
+// "/regex/flags" -> RegExp, anything else -> substring (or regex source with asRegex)
+function toMatcher(pattern, { asRegex = false } = {}) {
+  const m = String(pattern).match(/^\/(.+)\/([a-z]*)$/);
+  if (m) return text => new RegExp(m[1], m[2]).test(text);
+  if (asRegex) return text => new RegExp(pattern).test(text);
+  return text => text.includes(pattern);
+}
+
+function untilConditions(until) {
+  if (!until) return [];
+  const conditions = (Array.isArray(until) ? until : [until]).flatMap(c => Object.entries(c || {}));
+  for (const [type] of conditions) {
+    if (!UNTIL_TYPES.includes(type)) throw new UsageError(`Unknown until condition: ${type} (expected ${UNTIL_TYPES.join(', ')})`);
+  }
+  return conditions;
+}
+
+// Returns the termination reason, or null to keep going
+async function checkUntil(conditions, ctx, state) {
+  for (const [type, rawValue] of conditions) {
+    const value = interpolate(rawValue, ctx.vars);
+    switch (type) {
+      case 'js':
+        if (await evalInPage(value)) return `until.js: ${value}`;
+        break;
+      case 'selector':
+        if (await evalInPage(`!!document.querySelector(${JSON.stringify(value)})`)) return `until.selector appeared: ${value}`;
+        break;
+      case 'selector_gone':
+        if (!await evalInPage(`!!document.querySelector(${JSON.stringify(value)})`)) return `until.selector_gone: ${value}`;
+        break;
+      case 'url': {
+        const url = await evalInPage('location.href');
+        if (toMatcher(value)(url)) return `until.url matched: ${url}`;
+        break;
       }
-    } catch (e) {
-      log.fail(`Step failed: ${e.message}`);
-      failed = true;
+      case 'output':
+        if (toMatcher(value, { asRegex: true })(state.output || '')) return `until.output matched: ${value}`;
+        break;
+      case 'no_new_data':
+        if (state.staleIterations >= Number(value)) return `until.no_new_data: nothing new for ${state.staleIterations} iteration(s)`;
+        break;
     }
-    
-    console.log('');
   }
+  return null;
+}
+
+// Give a loop its own tab (or window) so parallel loops don't fight over the first tab
+async function claimTab(kind, url = 'about:blank') {
+  const { WindowManager } = require(path.join(LIB_DIR, 'bwindow.js'));
+  const t = await getTransport();
+  const wm = new WindowManager({ transport: t });
+  const created = kind === 'window' ? await wm.createWindow(url) : await wm.createTab(url);
   
-  console.log('═══════════════════════════════════════════════════════════');
-  if (failed) {
-    console.log(`${RED}  ✗ Task failed${NC}`);
-    process.exit(1);
-  } else {
-    console.log(`${GREEN}  ✓ Task completed successfully${NC}`);
-  }
-  console.log('═══════════════════════════════════════════════════════════');
+  let sessionId;
+  try {
+    sessionId = await t.attach({ targetId: created.targetId });
+  } catch (e) {
+    if (!created.sessionId) throw e;
+    sessionId = created.sessionId;
+  }
+  activeSession = sessionId;
+  activePage = null;
+  // Child processes (explore) follow the loop's tab too
+  process.env.GLIDER_TARGET = created.targetId;
+  return { kind, targetId: created.targetId, sessionId };
 }
 
 // Ralph Wiggum Loop - The core autonomous execution pattern
 async function cmdLoop(taskFileOrPrompt, options = {}) {
   const maxIterations = options.maxIterations || 10;
   const maxRuntime = options.maxRuntime || 3600; // 1 hour default
-  const checkpointInterval = options.checkpointInterval || 5;
   const completionMarker = options.completionMarker || 'LOOP_COMPLETE';
+  const runs = require(path.join(LIB_DIR, 'bruns.js'));
   
   // Initialize state
-  const state = {
+  let state = {
+    task: taskFileOrPrompt,
     iteration: 0,
     startTime: Date.now(),
+    elapsed: 0,
     completed: [],
     pending: [],
     status: 'running',
     lastOutput: null,
+    output: '',
+    staleIterations: 0,
+    lastFingerprint: null,
+    reason: null,
     errors: [],
+    consecutiveErrors: 0,
+    collected: 0,
+    vars: {},
   };
+  const cliVars = options.vars || {};
+  let ctx = null;
+  
+  // Resume: newest interrupted/crashed run of this task - counters, runtime budget, errors, output, variables
+  let run = null;
+  if (options.resume) {
+    run = runs.claimResumableRun(taskFileOrPrompt);
+    const saved = run && fs.existsSync(run.stateFile) ? JSON.parse(fs.readFileSync(run.stateFile, 'utf8')) : null;
+    if (!saved) {
+      log.warn('No interrupted run of this task - starting fresh');
+      run = null;
+    } else {
+      // A resume is a fresh start for the circuit breaker
+      state = { ...state, ...saved, status: 'running', reason: null, consecutiveErrors: 0, startTime: Date.now() - (saved.elapsed || 0) * 1000 };
+      runs.updateRun(run.id, { pid: process.pid, status: 'running' });
+      log.info(`Resuming ${run.id} from iteration ${state.iteration} (${state.elapsed.toFixed(1)}s used, ${state.errors.length} error(s))`);
+    }
+  }
+  if (!run) run = runs.createRun(taskFileOrPrompt, { maxIterations });
+  const stopTee = runs.teeOutput(run.logFile);
   
-  // Save state helper
+  // Save state helper - state.json in the run dir, run.json mirrors the summary
   const saveState = () => {
-    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+    state.elapsed = (Date.now() - state.startTime) / 1000;
+    if (ctx) {
+      const { env, run: runInfo, ...userVars } = ctx.vars;
+      state.vars = userVars;
+    }
+    fs.writeFileSync(run.stateFile, JSON.stringify(state, null, 2));
+    runs.updateRun(run.id, { status: state.status, iteration: state.iteration, errors: state.errors.length, reason: state.reason });
   };
   
   // Load task
@@ -1344,99 +2380,189 @@ async function cmdLoop(taskFileOrPrompt, options = {}) {
   console.log(`Max iterations: ${maxIterations}`);
   console.log(`Max runtime: ${maxRuntime}s`);
   console.log(`Completion marker: ${completionMarker}`);
+  console.log(`Run: ${run.id} ${DIM}(${run.dir})${NC}`);
   console.log('');
   
+  // One context for the whole loop - variables carry across iterations (save_as in one feeds the next)
+  let until;
+  let loopBackoff;
+  try {
+    ctx = createTaskContext(task, fs.existsSync(taskFileOrPrompt) ? taskFileOrPrompt : null, cliVars);
+    until = untilConditions(task.until);
+    loopBackoff = retryPolicy(task.loop_backoff, { backoff: 2 });
+    checkBlockRetries(task.steps);
+  } catch (e) {
+    runs.updateRun(run.id, { status: 'failed' });
+    stopTee();
+    usage(e.message);
+  }
+  // Marker written into the task file while we run (not one that was there from the start)
+  const initialTaskContent = fs.existsSync(taskFileOrPrompt) ? fs.readFileSync(taskFileOrPrompt, 'utf8') : null;
+  // Resumed variables, unless overridden again with --var
+  for (const [key, value] of Object.entries(state.vars || {})) {
+    if (!(key in cliVars)) ctx.vars[key] = value;
+  }
+  // {{run.id}}, {{run.artifacts}}, {{run.iteration}}
+  ctx.vars.run = { id: run.id, dir: run.dir, artifacts: run.artifacts, iteration: state.iteration };
+  
+  // Ctrl-C / `glider runs stop`: keep the state so --resume can continue - an iteration
+  // cut off halfway doesn't count, the resume runs it again
+  let inIteration = false;
+  let usageError = null;
+  const onSignal = (status, code) => () => {
+    state.status = status;
+    if (inIteration) state.iteration--;
+    saveState();
+    console.log('');
+    log.warn(`${status === 'stopped' ? 'Stopped' : 'Interrupted'} - continue with: glider loop ${taskFileOrPrompt} --resume`);
+    emitResult({ data: { runId: run.id, status, iterations: state.iteration }, error: { code: 'INTERRUPTED', message: `Loop ${status}`, exitCode: code } });
+    clearTaskEmulation(task).finally(() => process.exit(code));
+  };
+  process.once('SIGINT', onSignal('interrupted', 130));
+  process.once('SIGTERM', onSignal('stopped', 143));
+  
+  // Own tab/window for this loop (--new-tab / --new-window)
+  let claimed = null;
+  if (options.claim) {
+    try {
+      claimed = await claimTab(options.claim, options.claimUrl);
+      runs.updateRun(run.id, { tab: claimed });
+      log.ok(`Claimed ${claimed.kind}: ${claimed.targetId}`);
+    } catch (e) {
+      runs.updateRun(run.id, { status: 'failed' });
+      stopTee();
+      fail(`Could not open a ${options.claim} for this loop: ${e.message}`);
+    }
+  }
+  
   // Main loop
   while (state.status === 'running') {
-    state.iteration++;
-    
-    // Safety checks
+    // Safety checks - the counter only moves for iterations that actually run
     const elapsed = (Date.now() - state.startTime) / 1000;
     
-    if (state.iteration > maxIterations) {
+    if (state.iteration + 1 > maxIterations) {
       log.warn(`Max iterations (${maxIterations}) reached`);
       state.status = 'max_iterations';
+      state.reason = `max iterations (${maxIterations})`;
       break;
     }
     
     if (elapsed > maxRuntime) {
       log.warn(`Max runtime (${maxRuntime}s) reached`);
       state.status = 'timeout';
+      state.reason = `max runtime (${maxRuntime}s)`;
       break;
     }
     
+    state.iteration++;
+    ctx.vars.run.iteration = state.iteration;
+    runs.updateRun(run.id, { iteration: state.iteration });
+    
     console.log('──────────────────────────────────────────────────────────');
     console.log(`  Iteration ${state.iteration} / ${maxIterations} (${elapsed.toFixed(1)}s elapsed)`);
     console.log('──────────────────────────────────────────────────────────');
     
+    const iterationStart = Date.now();
+    let iterationError = null;
+    ctx.iteration = state.iteration;
+    ctx.steps = [];
+    inIteration = true;
     try {
-      // Execute steps if defined
+      // One iteration = one run of the task, same engine as `glider run`
       if (task.steps && task.steps.length > 0) {
-        for (const step of task.steps) {
-          const [cmd, arg] = Object.entries(step)[0];
-          log.step(`${cmd}: ${String(arg).slice(0, 50)}`);
-          
-          switch (cmd) {
-            case 'goto':
-              await cmdGoto(arg);
-              break;
-            case 'wait':
-              await new Promise(r => setTimeout(r, arg * 1000));
-              break;
-            case 'eval':
-              const evalResult = await httpPost('/cdp', {
-                method: 'Runtime.evaluate',
-                params: { expression: arg, returnByValue: true, awaitPromise: true }
-              });
-              state.lastOutput = evalResult.result?.value;
-              log.result(JSON.stringify(state.lastOutput));
-              break;
-            case 'click':
-              await cmdClick(arg);
-              break;
-            case 'screenshot':
-              await cmdScreenshot(arg);
-              break;
-            default:
-              log.warn(`Unknown: ${cmd}`);
-          }
-        }
+        ctx.failed = false;
+        ctx.consecutiveFailures = 0;
+        ctx.outputs = [];
+        ctx.newRecords = null;
+        await applyTaskEmulation(task, ctx);
+        await runSteps(task.steps, ctx);
+        if (ctx.lastOutput !== undefined) state.lastOutput = ctx.lastOutput;
+        
+        // Output history for until.output / until.no_new_data
+        const text = ctx.outputs.map(o => typeof o === 'string' ? o : JSON.stringify(o)).join('\n');
+        state.output = `${state.output}\n${text}`.slice(-OUTPUT_HISTORY_LIMIT);
+        // With collect: steps "new data" means new records, otherwise changed output
+        const stale = ctx.newRecords !== null ? ctx.newRecords === 0 : text === state.lastFingerprint;
+        state.staleIterations = stale ? state.staleIterations + 1 : 0;
+        state.lastFingerprint = text;
+        state.collected += ctx.newRecords || 0;
+        
+        if (ctx.failed) throw new Error('One or more steps failed');
       }
       
       // Check for completion marker in last output
       if (state.lastOutput && String(state.lastOutput).includes(completionMarker)) {
-        log.ok('Completion marker detected!');
-        state.status = 'completed';
-        break;
+        state.reason = `marker: ${completionMarker} in output`;
       }
       
       // Check for completion marker in task file (if it was modified)
-      if (fs.existsSync(taskFileOrPrompt)) {
+      if (!state.reason && initialTaskContent !== null && !initialTaskContent.includes(completionMarker)) {
         const currentContent = fs.readFileSync(taskFileOrPrompt, 'utf8');
-        if (currentContent.includes(completionMarker) || currentContent.includes('DONE')) {
-          log.ok('Task file marked as complete');
-          state.status = 'completed';
-          break;
+        if (currentContent.includes(completionMarker)) {
+          state.reason = `marker: ${completionMarker} added to task file`;
         }
       }
       
+      if (!state.reason && until.length > 0) {
+        state.reason = await checkUntil(until, ctx, state);
+      }
+      
+      if (state.reason) {
+        log.ok(`Complete - ${state.reason}`);
+        state.status = 'completed';
+        break;
+      }
+      
       state.completed.push({ iteration: state.iteration, success: true });
+      state.consecutiveErrors = 0;
       
     } catch (e) {
-      log.fail(`Iteration error: ${e.message}`);
+      inIteration = false;  // it ran to the end - the backoff below is between iterations
+      iterationError = e.message;
       state.errors.push({ iteration: state.iteration, error: e.message });
+      // on_error: abort, the step circuit breaker, a goto with no label - end the loop, not just this iteration
+      if (e instanceof TaskAbort || e instanceof StepGoto) {
+        log.fail(`Loop aborted: ${e.message}`);
+        state.status = 'aborted';
+        state.reason = e.message;
+        break;
+      }
+      // A mistake in the task file (until:, emulate:) - every iteration would hit it again
+      if (e instanceof UsageError) {
+        log.fail(e.message);
+        state.status = 'failed';
+        state.reason = e.message;
+        usageError = e;
+        break;
+      }
+      log.fail(`Iteration error: ${e.message}`);
+      state.consecutiveErrors++;
+      
+      if (ctx.breaker && state.consecutiveErrors >= ctx.breaker) {
+        log.fail(`Circuit breaker open after ${state.consecutiveErrors} failed iterations in a row`);
+        state.status = 'circuit_open';
+        state.reason = `circuit breaker (${state.consecutiveErrors} consecutive failed iterations)`;
+        break;
+      }
       
-      // Exponential backoff on errors
-      const backoff = Math.min(30, Math.pow(2, state.errors.length));
-      log.info(`Backing off ${backoff}s before retry...`);
+      // Exponential backoff (loop_backoff:), back to the base delay after a good iteration
+      const backoff = backoffDelay(loopBackoff, state.consecutiveErrors);
+      log.info(`Backing off ${backoff.toFixed(1)}s before retry...`);
       await new Promise(r => setTimeout(r, backoff * 1000));
+    } finally {
+      inIteration = false;
+      emitEvent('iteration', {
+        iteration: state.iteration,
+        status: iterationError ? 'failed' : 'ok',
+        error: iterationError,
+        durationMs: Date.now() - iterationStart,
+        newRecords: ctx.newRecords,
+        steps: ctx.steps.length,
+      });
     }
     
-    // Checkpoint
-    if (state.iteration % checkpointInterval === 0) {
-      saveState();
-      log.info(`Checkpoint saved (iteration ${state.iteration})`);
-    }
+    // Checkpoint every iteration - a crash resumes after the last finished one, nothing re-runs
+    saveState();
     
     // Small delay between iterations
     await new Promise(r => setTimeout(r, 1000));
@@ -1444,13 +2570,21 @@ async function cmdLoop(taskFileOrPrompt, options = {}) {
   
   // Final state save
   saveState();
+  await clearTaskEmulation(task);
+  
+  // Loop is done with its own tab (kept on Ctrl-C/stop for inspection)
+  if (claimed) {
+    try { await cdp('Target.closeTarget', { targetId: claimed.targetId }); } catch {}
+  }
   
   console.log('');
   console.log('═══════════════════════════════════════════════════════════');
   console.log(`  Loop finished: ${state.status}`);
+  if (state.reason) console.log(`  Reason: ${state.reason}`);
   console.log(`  Iterations: ${state.iteration}`);
   console.log(`  Successful: ${state.completed.length}`);
   console.log(`  Errors: ${state.errors.length}`);
+  if (state.collected) console.log(`  Collected: ${state.collected} new record(s)`);
   console.log(`  Runtime: ${((Date.now() - state.startTime) / 1000).toFixed(1)}s`);
   console.log('═══════════════════════════════════════════════════════════');
   
@@ -1459,6 +2593,174 @@ async function cmdLoop(taskFileOrPrompt, options = {}) {
   } else {
     console.log(`${YELLOW}  ! Task stopped: ${state.status}${NC}`);
   }
+  stopTee();
+  const result = {
+    runId: run.id,
+    task: task.name || null,
+    status: state.status,
+    reason: state.reason,
+    iterations: state.iteration,
+    successful: state.completed.length,
+    errors: state.errors,
+    collected: state.collected,
+    runtimeSeconds: Number(((Date.now() - state.startTime) / 1000).toFixed(1)),
+    lastOutput: state.lastOutput,
+  };
+  if (usageError) throw Object.assign(usageError, { data: result });
+  // Running out of iterations or time is a normal end; a tripped breaker or an abort is a failure
+  if (state.status === 'circuit_open' || state.status === 'aborted') throw new TaskError(`Loop failed: ${state.reason}`, { data: result });
+  return result;
+}
+
+// "42s", "5m", "1.5h" between now and a timestamp (past or future)
+function formatAge(ms) {
+  const s = Math.round(Math.abs(Date.now() - ms) / 1000);
+  return s < 60 ? `${s}s` : s < 3600 ? `${Math.round(s / 60)}m` : `${(s / 3600).toFixed(1)}h`;
+}
+
+// Run registry - supervise loops running in other terminals
+async function cmdRuns(args) {
+  const runs = require(path.join(LIB_DIR, 'bruns.js'));
+  const [subcmd = 'list', id] = args;
+  const colorFor = (status) => status === 'running' ? GREEN : status === 'completed' ? CYAN : status === 'dead' || status === 'failed' || status === 'circuit_open' || status === 'aborted' ? RED : YELLOW;
+  
+  switch (subcmd) {
+    case 'list': {
+      const all = runs.listRuns();
+      if (all.length === 0) {
+        log.warn(`No runs yet ${DIM}(${runs.RUNS_DIR})${NC}`);
+        return [];
+      }
+      console.log(`${GREEN}${all.length}${NC} run(s):\n`);
+      for (const run of all) {
+        const iter = `${run.iteration}${run.maxIterations ? `/${run.maxIterations}` : ''}`;
+        console.log(`  ${CYAN}${run.id}${NC}  ${colorFor(run.status)}${run.status}${NC}  ${DIM}iter ${iter}, ${formatAge(run.startedAt)} ago, pid ${run.pid}${NC}`);
+        console.log(`      ${DIM}${run.task}${run.tab ? `  [${run.tab.kind} ${run.tab.targetId}]` : ''}${NC}`);
+      }
+      return all;
+    }
+    case 'show': {
+      if (!id) usage('Usage: glider runs show <id>');
+      const run = runs.getRun(id);
+      const state = fs.existsSync(run.stateFile) ? JSON.parse(fs.readFileSync(run.stateFile, 'utf8')) : null;
+      log.box(`RUN ${run.id}`.slice(0, 48));
+      console.log(`  Status      ${colorFor(run.status)}${run.status}${NC}`);
+      console.log(`  Task        ${run.task}`);
+      console.log(`  PID         ${run.pid}`);
+      console.log(`  Iteration   ${run.iteration}${run.maxIterations ? ` / ${run.maxIterations}` : ''}`);
+      console.log(`  Started     ${new Date(run.startedAt).toLocaleString()} (${formatAge(run.startedAt)} ago)`);
+      if (run.reason) console.log(`  Reason      ${run.reason}`);
+      if (run.tab) console.log(`  Tab         ${run.tab.kind} ${run.tab.targetId}`);
+      if (state) {
+        console.log(`  Errors      ${state.errors.length}`);
+        console.log(`  Last output ${JSON.stringify(state.lastOutput)?.slice(0, 60)}`);
+      }
+      console.log(`  Dir         ${run.dir}`);
+      const artifacts = fs.existsSync(run.artifacts) ? fs.readdirSync(run.artifacts) : [];
+      if (artifacts.length) console.log(`  Artifacts   ${artifacts.length} file(s)`);
+      const tail = runs.tailLog(run);
+      if (tail.length) {
+        console.log(`\n${DIM}── last ${tail.length} log lines ──${NC}`);
+        tail.forEach(line => console.log(`  ${line}`));
+      }
+      return { ...run, state, artifacts };
+    }
+    case 'stop': {
+      if (!id) usage('Usage: glider runs stop <id>');
+      const stopped = runs.stopRun(id);
+      if (stopped) {
+        log.ok(`Stopping ${runs.getRun(id).id} ${DIM}(state saved, --resume continues it)${NC}`);
+      } else {
+        log.warn(`${id} is not running`);
+      }
+      return { id: runs.getRun(id).id, stopped };
+    }
+    default:
+      usage('Usage: glider runs list|show <id>|stop <id>');
+  }
+}
+
+// Scheduled tasks - ~/.glider/schedules.yaml, run by the scheduler next to the relay daemon
+async function cmdSchedule(args) {
+  const scheduler = require(path.join(LIB_DIR, 'bschedule.js'));
+  const [subcmd = 'list', name, ...rest] = args;
+  const colorFor = (status) => status === 'ok' ? GREEN : status === 'running' ? CYAN : status === 'skipped' ? YELLOW : RED;
+  
+  switch (subcmd) {
+    case 'list': {
+      const pid = scheduler.schedulerPid();
+      console.log(pid
+        ? `  ${GREEN}✓${NC} Scheduler running ${DIM}(pid ${pid})${NC}`
+        : `  ${YELLOW}⚠${NC} Scheduler not running ${DIM}(glider install, or glider schedule start)${NC}`);
+      const all = scheduler.listSchedules();
+      if (all.length === 0) {
+        log.warn(`No schedules ${DIM}(${scheduler.SCHEDULES_FILE})${NC}`);
+        return { scheduler: pid, schedules: [] };
+      }
+      console.log(`\n${GREEN}${all.length}${NC} schedule(s):\n`);
+      for (const s of all) {
+        const when = s.cron ? `cron "${s.cron}"` : `every ${s.every}`;
+        const next = s.error ? `${RED}${s.error}${NC}` : s.enabled === false ? `${DIM}disabled${NC}` : `next in ${formatAge(s.next)}`;
+        console.log(`  ${CYAN}${s.name}${NC}  ${DIM}${s.mode || 'run'}, ${when}${NC}  ${next}`);
+        if (s.last) {
+          const exit = s.last.exitCode !== null && s.last.exitCode !== undefined ? `, exit ${s.last.exitCode}` : '';
+          const took = s.last.duration ? `, took ${s.last.duration.toFixed(1)}s` : '';
+          console.log(`      last: ${colorFor(s.last.status)}${s.last.status}${NC}${DIM}${exit}${took}, ${formatAge(s.last.startedAt)} ago${s.last.reason ? ` - ${s.last.reason}` : ''}${NC}`);
+          if (s.last.log) console.log(`      ${DIM}${s.last.log}${NC}`);
+        }
+        console.log(`      ${DIM}${s.task}${NC}`);
+      }
+      return { scheduler: pid, schedules: all };
+    }
+    case 'add': {
+      // add <name> <task.yaml> --cron "<expr>" | --every 10m [--loop] [--timeout s] [--var k=v] [-- glider args]
+      const usageText = 'Usage: glider schedule add <name> <task.yaml> --cron "<expr>" | --every <10m> [--loop] [--timeout s] [--var k=v] [-- args]';
+      const [task, ...flags] = rest;
+      if (!name || !task) usage(usageText);
+      const dashes = flags.indexOf('--');
+      const [vars, opts] = parseVarFlags(dashes === -1 ? flags : flags.slice(0, dashes));
+      const schedule = { name, task };
+      for (let i = 0; i < opts.length; i++) {
+        if (opts[i] === '--cron') schedule.cron = opts[++i];
+        else if (opts[i] === '--every') schedule.every = opts[++i];
+        else if (opts[i] === '--loop') schedule.mode = 'loop';
+        else if (opts[i] === '--timeout') schedule.timeout = parseInt(opts[++i], 10);
+        else usage(`Unknown option: ${opts[i]}\n${usageText}`);
+      }
+      if (Object.keys(vars).length) schedule.vars = vars;
+      if (dashes !== -1) schedule.args = flags.slice(dashes + 1);
+      if (TRANSPORT !== 'relay') schedule.transport = TRANSPORT;
+      const added = scheduler.addSchedule(schedule);
+      log.ok(`Added ${added.name}: ${added.mode || 'run'} ${added.task}`);
+      log.info(`Next run in ${formatAge(scheduler.nextRunTime(added))}`);
+      if (!scheduler.schedulerPid()) log.warn('Scheduler not running - glider install, or glider schedule start');
+      return added;
+    }
+    case 'remove':
+    case 'rm': {
+      if (!name) usage('Usage: glider schedule remove <name>');
+      scheduler.removeSchedule(name);
+      log.ok(`Removed ${name}`);
+      return { name, removed: true };
+    }
+    case 'run-now': {
+      // Same runner as the scheduler, in the foreground - result is recorded too
+      if (!name) usage('Usage: glider schedule run-now <name>');
+      const result = await scheduler.runJob(scheduler.getSchedule(name), { echo: OUTPUT === 'text' });
+      console.log('');
+      if (result.status !== 'ok') {
+        fail(`${name}: ${result.status}${result.exitCode !== null ? ` (exit ${result.exitCode})` : ''}${result.reason ? ` - ${result.reason}` : ''}`, result);
+      }
+      log.ok(`${name}: ok ${DIM}(${result.duration.toFixed(1)}s)${NC}`);
+      return result;
+    }
+    case 'start':
+      // Foreground scheduler, for machines without `glider install`
+      await scheduler.startScheduler();
+      break;
+    default:
+      usage('Usage: glider schedule list|add|remove <name>|run-now <name>|start');
+  }
 }
 
 // Help
@@ -1469,20 +2771,38 @@ ${B5}USAGE${NC}
     glider <command> [args]
 
 ${B5}SETUP${NC}
-    ${BW}install${NC}             Install daemon ${DIM}(runs at login, auto-restarts)${NC}
+    ${BW}install${NC}             Install daemon ${DIM}(relay + scheduler, auto-restarts)${NC}
     ${BW}uninstall${NC}           Remove daemon
     ${BW}connect${NC}             Connect to browser ${DIM}(run once per Chrome session)${NC}
 
+${B5}BROWSER${NC}
+    ${BW}launch${NC} [opts]       Start local Chrome/Chromium with remote debugging
+                        ${DIM}--headless, --profile <dir> (default: temp profile)${NC}
+    ${BW}stop${NC}                Stop relay server and launched browser
+
 ${B5}STATUS${NC}
     ${BW}status${NC}              Check server, extension, tabs
     ${BW}test${NC}                Run diagnostics
 
 ${B5}NAVIGATION${NC}
-    ${BW}goto${NC} <url>          Navigate to URL
+    ${BW}goto${NC} <url>          Navigate and wait for load ${DIM}(reports HTTP status)${NC}
+                        ${DIM}--wait-until load|domcontentloaded|networkidle|none, --timeout s (30)${NC}
+                        ${DIM}--allow-http-errors: warn on HTTP 4xx/5xx instead of failing${NC}
+    ${BW}back${NC} / ${BW}forward${NC}      History navigation ${DIM}(same options)${NC}
+    ${BW}reload${NC}              Reload the page ${DIM}(same options)${NC}
     ${BW}eval${NC} <js>           Execute JavaScript
-    ${BW}click${NC} <selector>    Click element
-    ${BW}type${NC} <sel> <text>   Type into input
-    ${BW}screenshot${NC} [path]   Take screenshot
+    ${BW}click${NC} <selector>    Click element ${DIM}(real mouse events, waits until visible/enabled)${NC}
+    ${BW}type${NC} <sel> <text>   Type into input, replacing its value ${DIM}(--delay ms between keys)${NC}
+    ${BW}press${NC} <key...>      Press keys or chords ${DIM}(Enter, Tab, Ctrl+A, Shift+ArrowLeft)${NC}
+    ${BW}screenshot${NC} [path]   Take screenshot ${DIM}(viewport, PNG; format also from .jpg/.webp)${NC}
+                        ${DIM}--full-page, --selector <css>, --format png|jpeg|webp, --quality N, --scale N${NC}
+    ${BW}pdf${NC} [path]          Print page to PDF ${DIM}(--format A4|Letter|..., --width/--height, --landscape)${NC}
+                        ${DIM}--margin "1cm 2cm", --ranges 1-3, --no-background, --scale N, --css-page-size${NC}
+                        ${DIM}--header-template / --footer-template <html|@file.html>${NC}
+    ${BW}emulate${NC} <preset>    Emulate a device ${DIM}(--list for presets, --reset to clear)${NC}
+                        ${DIM}--width N --height N --dpr N --mobile --touch --ua S --landscape${NC}
+                        ${DIM}--geo 52.52,13.40 --timezone Europe/Berlin --locale de-DE${NC}
+                        ${DIM}--offline | --online, --throttle slow-3g|3g|4g|none${NC}
 
 ${B5}PAGE INFO${NC}
     ${BW}text${NC}                Get page text
@@ -1507,14 +2827,46 @@ ${B5}MULTI-TAB${NC}
     ${BW}favicon${NC} <url> [out] Extract favicon from site ${DIM}(webp)${NC}
 
 ${B5}AUTOMATION${NC}
-    ${BW}run${NC} <task.yaml>     Execute YAML task file
+    ${BW}run${NC} <task.yaml>     Execute YAML task file ${DIM}(--var key=value)${NC}
     ${BW}loop${NC} <task> [opts]  Autonomous loop ${DIM}(run until complete)${NC}
     ${BW}ralph${NC} <task>        ${DIM}Alias for loop${NC}
+    ${BW}runs${NC} [list]         Loops started on this machine ${DIM}(~/.glider/runs)${NC}
+    ${BW}runs show${NC} <id>      Status, state and recent log of a run
+    ${BW}runs stop${NC} <id>      Stop a loop ${DIM}(state kept for --resume)${NC}
+    ${BW}schedule${NC} [list]     Scheduled tasks, next run, last result ${DIM}(~/.glider/schedules.yaml)${NC}
+    ${BW}schedule add${NC} <name> <task> --cron "0 9 * * *" | --every 10m [--loop]
+    ${BW}schedule remove${NC} <name>  ${BW}schedule run-now${NC} <name>
+    ${BW}schedule start${NC}      Run the scheduler in the foreground ${DIM}(install runs it too)${NC}
+
+${B5}GLOBAL OPTIONS${NC}
+    --transport relay|direct Backend ${DIM}(default: relay, or $GLIDER_TRANSPORT)${NC}
+                             ${DIM}direct = Chrome with --remote-debugging-port, no extension${NC}
+    --tab N                  Act on tab N from ${GREEN}glider tabs${NC} ${DIM}(default: first real page)${NC}
+    --url-match TEXT         Act on first tab whose URL/title contains TEXT
+    --session ID             Act on tab by sessionId
+    --target ID              Act on tab by targetId
+    --json                   One JSON result on stdout ${DIM}({command, status, data, error, timing})${NC}
+    --output json|ndjson|text  ndjson adds one event per task step ${DIM}(or $GLIDER_OUTPUT)${NC}
+
+${B5}EXIT CODES${NC}
+    0 ok  1 error  2 usage  3 relay/Chrome unreachable  4 extension disconnected  5 no tab
+    6 element not found  7 JS exception  8 timeout  9 CDP error  10 task failed  11 navigation failed
+    ${DIM}(JS exceptions also report the page stack, line and column)${NC}
+
+${B5}EXTRACT OPTIONS${NC}
+    --js EXPR / -s SELECTOR  What to extract ${DIM}(default: body text)${NC}
+    --sessions a,b           Only these sessions/targets ${DIM}(-x, --exclude to skip)${NC}
+    -c, --concurrency N      Tabs at once ${DIM}(default: 5)${NC}
+    -t, --timeout MS         Per-tab timeout ${DIM}(default: 15000)${NC}
+    -l, --limit N            Max chars per tab ${DIM}(--json: results in .data)${NC}
 
 ${B5}LOOP OPTIONS${NC}
     -n, --max-iterations N   Max iterations ${DIM}(default: 10)${NC}
     -t, --timeout N          Timeout in seconds ${DIM}(default: 3600)${NC}
     -m, --marker STRING      Completion marker ${DIM}(default: LOOP_COMPLETE)${NC}
+    --resume                 Continue the last interrupted/crashed run of this task
+    --new-tab [url]          Run in a tab of its own ${DIM}(parallel loops)${NC}
+    --new-window [url]       Run in a window of its own
 
 ${B5}EXAMPLES${NC}
     ${DIM}$${NC} glider install              ${DIM}# one-time setup${NC}
@@ -1526,15 +2878,41 @@ ${B5}EXAMPLES${NC}
 
 ${YELLOW}TASK FILE FORMAT:${NC}
     name: "Task name"
+    vars: { site: "https://example.com" }   ${DIM}# {{site}}, {{env.HOME}}, --var site=...${NC}
     steps:
-      - goto: "https://example.com"
+      - goto: "https://example.com"   ${DIM}# waits for load (wait_until:, timeout:)${NC}
       - wait: 2
+      - wait_for: ".results"          ${DIM}# or { selector, visible|hidden, timeout }${NC}
+      - wait_for_url: "/done"
+      - wait_for_network_idle: true
+      - wait_for_function: "window.ready"
       - eval: "document.title"
+        save_as: title                ${DIM}# eval/text/fetch -> {{title}}${NC}
       - click: "button.submit"
       - type: ["#input", "hello"]
-      - screenshot: "/tmp/shot.png"
+      - screenshot: "/tmp/shot.png"   ${DIM}# or { path, full_page, selector, format, quality, scale }${NC}
+      - pdf: "/tmp/page.pdf"          ${DIM}# or { path, format, landscape, margin, page_ranges, ... }${NC}
+      - emulate: "iphone-15"          ${DIM}# or { width, height, dpr, mobile, user_agent, landscape } | reset${NC}
+      - emulate: { geo: "52.52,13.40", timezone: Europe/Berlin, locale: de-DE, throttle: 3g, offline: false }
       - assert: "document.title.includes('Example')"
       - log: "Step done"
+      - collect: "<js array>"  to: out.jsonl  key: id   ${DIM}# append new records (.jsonl/.csv)${NC}
+      - if: "<js>"        then: [...]  else: [...]
+      - foreach: "<js array>"  as: item  steps: [...]
+      - repeat: 3         steps: [...]
+      - while: "<js>"     max: 100  steps: [...]
+      - include: other.yaml  with: { key: value }
+      - label: retry_me     ${DIM}# goto target${NC}
+        click: ".flaky"
+        retry: { attempts: 3, backoff: 1, max_delay: 10, jitter: 0.2 }
+        on_error: goto retry_me   ${DIM}# continue | abort | goto <label>${NC}
+    retry: 2  on_error: abort   ${DIM}# task-wide defaults${NC}
+    circuit_breaker: 5          ${DIM}# N failures in a row -> abort (0 = off)${NC}
+    emulate: { device: pixel-7, timezone: Asia/Tokyo }  ${DIM}# every run/iteration, cleared at the end${NC}
+    loop_backoff: { backoff: 2, max_delay: 30, jitter: 0 }
+    until:                ${DIM}# loop only - any one stops it${NC}
+      js: "<js>"  selector: ".done"  selector_gone: ".spin"
+      url: "/done"  output: "regex"  no_new_data: 3
 
 ${YELLOW}EXAMPLES:${NC}
     glider status
@@ -1547,7 +2925,7 @@ ${YELLOW}EXAMPLES:${NC}
 
 ${YELLOW}RALPH WIGGUM PATTERN:${NC}
     The loop command implements autonomous execution:
-    - Runs until completion marker found or limits reached
+    - Runs until an until: condition, the completion marker, or limits
     - Safety guards: max iterations, timeout, error backoff
     - State persistence for recovery
     - Checkpointing every N iterations
@@ -1555,6 +2933,7 @@ ${YELLOW}RALPH WIGGUM PATTERN:${NC}
 ${YELLOW}REQUIREMENTS:${NC}
     - Node.js 18+
     - Glider Chrome extension connected
+      ${DIM}or Chrome/Chromium with --remote-debugging-port=${DEBUG_PORT} and --transport direct${NC}
 
 ${YELLOW}DOMAIN EXTENSIONS:${NC}
     Add custom domain commands via ~/.cursor/glider/domains.json:
@@ -1579,18 +2958,54 @@ ${YELLOW}DOMAIN EXTENSIONS:${NC}
   }
 }
 
+// Tab selector flags -> env vars read by transport.attach() (see selectTarget)
+const TAB_FLAGS = {
+  '--tab': 'GLIDER_TAB',
+  '--session': 'GLIDER_SESSION',
+  '--target': 'GLIDER_TARGET',
+  '--url-match': 'GLIDER_URL_MATCH',
+};
+
+// Global flags - accepted anywhere on the command line, stripped before dispatch
+function parseGlobalFlags(argv) {
+  const args = [];
+  readFlags(argv, (flag, value, arg) => {
+    if (flag === '--transport') {
+      TRANSPORT = value();
+    } else if (flag === '--json') {
+      OUTPUT = 'json';
+    } else if (flag === '--output' && (args.length === 0 || OUTPUT_MODES.includes(value.peek()))) {
+      // After the command only with a mode - fetch/explore/registry use --output <file>
+      OUTPUT = value();
+    } else if (TAB_FLAGS[flag]) {
+      const tab = value();
+      if (!tab) usage(`${flag} needs a value`);
+      // Child processes (bexplore) target the same tab
+      process.env[TAB_FLAGS[flag]] = tab;
+    } else {
+      args.push(arg);
+    }
+  });
+  if (!OUTPUT_MODES.includes(OUTPUT)) usage(`Unknown output mode: ${OUTPUT} (${OUTPUT_MODES.join(', ')})`);
+  TRANSPORT = resolveTransportName(TRANSPORT);
+  // Child processes (bexplore) pick the same backend
+  process.env.GLIDER_TRANSPORT = TRANSPORT;
+  return args;
+}
+
 // Main
 async function main() {
-  const args = process.argv.slice(2);
+  const args = parseGlobalFlags(process.argv.slice(2));
   const cmd = args[0];
+  setupOutput(cmd || 'help');
   
   if (!cmd || cmd === '--help' || cmd === '-h') {
     showHelp();
     process.exit(0);
   }
   
-  // Ensure server is running for most commands
-  if (!['start', 'stop', 'help', '--help', '-h'].includes(cmd)) {
+  // Ensure server is running for most commands (relay transport only)
+  if (TRANSPORT === 'relay' && !['start', 'stop', 'launch', 'runs', 'schedule', 'help', '--help', '-h'].includes(cmd)) {
     if (!await checkServer()) {
       log.info('Server not running, starting...');
       await cmdStart();
@@ -1602,97 +3017,99 @@ async function main() {
     case '--help':
     case '-h':
       showHelp();
-      break;
+      return null;
     case 'status':
-      await cmdStatus();
-      break;
+      return cmdStatus();
     case 'start':
-      await cmdStart();
-      break;
+      return cmdStart();
     case 'stop':
-      await cmdStop();
-      break;
+      return cmdStop();
+    case 'launch':
+      return cmdLaunch(args.slice(1));
     case 'restart':
-      await cmdRestart();
-      break;
+      return cmdRestart();
     case 'install':
-      await cmdInstallDaemon();
-      break;
+      return cmdInstallDaemon();
     case 'uninstall':
-      await cmdUninstallDaemon();
-      break;
+      return cmdUninstallDaemon();
     case 'connect':
-      await cmdConnect();
-      break;
+      return cmdConnect();
     case 'test':
-      await cmdTest();
-      break;
+      return cmdTest();
     case 'tabs':
-      await cmdTabs();
-      break;
+      return cmdTabs();
     case 'window':
     case 'win':
-      await cmdWindow(args.slice(1));
-      break;
+      return cmdWindow(args.slice(1));
     case 'domains':
-      await cmdDomains();
-      break;
+      return cmdDomains();
     case 'goto':
-    case 'navigate':
-      await cmdGoto(args[1]);
-      break;
+    case 'navigate': {
+      const [gotoArgs, gotoOpts] = parseNavFlags(args.slice(1));
+      return cmdGoto(gotoArgs[0], gotoOpts);
+    }
+    case 'back':
+    case 'forward':
+    case 'reload': {
+      const [, navOpts] = parseNavFlags(args.slice(1));
+      return cmdHistory(cmd, navOpts);
+    }
     case 'open':
-      await cmdOpen(args[1]);
-      break;
+      return cmdOpen(args[1]);
     case 'eval':
     case 'js':
-      await cmdEval(args.slice(1).join(' '));
-      break;
+      return cmdEval(args.slice(1).join(' '));
     case 'click':
-      await cmdClick(args[1]);
-      break;
-    case 'type':
-      await cmdType(args[1], args.slice(2).join(' '));
-      break;
+      return cmdClick(args[1]);
+    case 'type': {
+      const [typeText, typeOpts] = parseTypeArgs(args.slice(2));
+      return cmdType(args[1], typeText, typeOpts);
+    }
+    case 'press':
+      return cmdPress(args.slice(1));
     case 'screenshot':
-      await cmdScreenshot(args[1]);
-      break;
+      return cmdScreenshot(...parseScreenshotArgs(args.slice(1)));
+    case 'pdf':
+      return cmdPdf(...parsePdfArgs(args.slice(1)));
+    case 'emulate': {
+      const emulateOpts = parseEmulateArgs(args.slice(1));
+      const applied = await cmdEmulate(emulateOpts);
+      if (TRANSPORT === 'direct' && !emulateOpts.list) {
+        log.warn('With --transport direct emulation ends when this command exits - use an emulate: step in a task');
+      }
+      return applied;
+    }
     case 'text':
-      await cmdText();
-      break;
+      return cmdText();
     case 'html':
-      await cmdHtml(args[1]);
-      break;
+      return cmdHtml(args[1]);
     case 'title':
-      await cmdTitle();
-      break;
+      return cmdTitle();
     case 'url':
-      await cmdUrl();
-      break;
-    case 'run':
-      await cmdRun(args[1]);
-      break;
+      return cmdUrl();
+    case 'run': {
+      const [runVars] = parseVarFlags(args.slice(2));
+      return cmdRun(args[1], runVars);
+    }
     case 'fetch':
-      await cmdFetch(args[1], args.slice(2));
-      break;
+      return cmdFetch(args[1], args.slice(2));
     case 'spawn':
-      await cmdSpawn(args.slice(1));
-      break;
+      return cmdSpawn(args.slice(1));
     case 'extract':
-      await cmdExtract(args.slice(1));
-      break;
+      return cmdExtract(args.slice(1));
     case 'explore':
-      await cmdExplore(args[1], args.slice(2));
-      break;
+      return cmdExplore(args[1], args.slice(2));
     case 'favicon':
       // Use registry pattern - bulletproof method
-      await cmdRegistry('favicon', args.slice(1));
-      break;
+      return cmdRegistry('favicon', args.slice(1));
     case 'registry':
     case 'reg':
       // Run a registry pattern
-      await cmdRegistry(args[1], args.slice(2));
-      break;
+      return cmdRegistry(args[1], args.slice(2));
+    case 'runs':
+      return cmdRuns(args.slice(1));
+    case 'schedule':
+      return cmdSchedule(args.slice(1));
     case 'loop':
     case 'ralph':  // alias for loop - Ralph Wiggum pattern
       // Parse loop options
@@ -1709,10 +3126,16 @@ async function main() {
           loopOpts.maxRuntime = parseInt(args[++i], 10);
         } else if (args[i] === '-m' || args[i] === '--marker') {
           loopOpts.completionMarker = args[++i];
+        } else if (args[i] === '--resume') {
+          loopOpts.resume = true;
+        } else if (args[i] === '--new-tab' || args[i] === '--new-window') {
+          loopOpts.claim = args[i] === '--new-tab' ? 'tab' : 'window';
+          // Optional start URL right after the flag
+          if (args[i + 1] && /^https?:|^about:/.test(args[i + 1])) loopOpts.claimUrl = args[++i];
         }
       }
-      await cmdLoop(taskArg, loopOpts);
-      break;
+      [loopOpts.vars] = parseVarFlags(args.slice(2));
+      return cmdLoop(taskArg, loopOpts);
     default:
       // Check if it's a domain command from config
       if (DOMAINS[cmd]) {
@@ -1723,27 +3146,37 @@ async function main() {
           if (fs.existsSync(scriptPath)) {
             const { execSync } = require('child_process');
             try {
-              execSync(`"${scriptPath}" ${args.slice(1).map(a => `"${a}"`).join(' ')}`, { stdio: 'inherit' });
+              // Script output goes to stderr in --json mode so stdout stays parseable
+              execSync(`"${scriptPath}" ${args.slice(1).map(a => `"${a}"`).join(' ')}`, { stdio: ['inherit', OUTPUT === 'text' ? 'inherit' : 2, 'inherit'] });
+              return { script: scriptPath, exitCode: 0 };
             } catch (e) {
               process.exit(e.status || 1);
             }
           } else {
-            log.fail(`Domain script not found: ${scriptPath}`);
-            process.exit(1);
+            fail(`Domain script not found: ${scriptPath}`);
           }
         } else if (domain.url) {
           // Navigate to domain URL
-          await cmdGoto(domain.url);
+          return cmdGoto(domain.url);
         }
-        break;
+        return null;
       }
-      log.fail(`Unknown command: ${cmd}`);
       showHelp();
-      process.exit(1);
+      usage(`Unknown command: ${cmd}`);
   }
 }
 
-main().catch(e => {
-  log.fail(e.message);
-  process.exit(1);
+main().then(data => {
+  closeTransport();
+  emitResult({ data });
+}).catch(e => {
+  const error = toGliderError(e);
+  log.fail(error.message);
+  // Page exceptions: where in the page script it happened
+  if (error instanceof EvaluationError) {
+    const where = error.stack ? error.stack.split('\n').slice(1) : error.line ? [`at <anonymous>:${error.line}:${error.column}`] : [];
+    if (where.length) console.error(`${DIM}${where.map(line => `  ${line.trim()}`).join('\n')}${NC}`);
+  }
+  emitResult({ data: error.data, error: { ...error.toJSON(), message: stripAnsi(error.message) } });
+  process.exit(error.exitCode);
 });
@@ -0,0 +1,153 @@
+/**
+ * glidercli - Programmatic entry point
+ *
+ * Drive the browser from Node the same way bin/glider.js does, without
+ * shelling out to the CLI.
+ *
+ *   const { Glider } = require('glidercli');
+ *   const glider = new Glider();
+ *   await glider.connect();
+ *   await glider.navigate('https://example.com');
+ *   console.log(await glider.evaluate('document.title'));
+ *   glider.close();
+ *
+ * Options:
+ *   transport  'relay'  - via relay + Glider extension
+ *              'direct' - Chrome with --remote-debugging-port, no extension
+ *              (default: $GLIDER_TRANSPORT, then relay - see lib/transport.js)
+ */
+
+const path = require('path');
+
+const LIB_DIR = path.join(__dirname, 'lib');
+
+const { BrowserCDP } = require(path.join(LIB_DIR, 'bcdp.js'));
+const { WindowManager } = require(path.join(LIB_DIR, 'bwindow.js'));
+const { SiteExplorer } = require(path.join(LIB_DIR, 'bexplore.js'));
+const { evaluate } = require(path.join(LIB_DIR, 'beval.js'));
+const { DirectCDP, checkChrome } = require(path.join(LIB_DIR, 'cdp-direct.js'));
+const { createTransport, resolveTransportName } = require(path.join(LIB_DIR, 'transport.js'));
+const errors = require(path.join(LIB_DIR, 'errors.js'));
+
+class Glider {
+  constructor(options = {}) {
+    this.options = options;
+    this.transport = resolveTransportName(options.transport);
+    this.page = null;      // BrowserCDP attached to the active tab
+    this.clients = [];     // everything opened through this instance, closed together
+  }
+
+  /**
+   * Connect to a page. Must be called before any page helper.
+   * target: { tab, sessionId, targetId, urlMatch } - default is the first real page
+   */
+  async connect(target) {
+    if (this.page) return this;
+    const page = this._track(new BrowserCDP({ transport: this.transport }));
+    await page.connect();
+    await page.init(target);
+    this.page = page;
+    return this;
+  }
+
+  _track(client) {
+    this.clients.push(client);
+    return client;
+  }
+
+  _requirePage() {
+    if (!this.page) throw new errors.ConnectionError('Not connected - call glider.connect() first');
+    return this.page;
+  }
+
+  /**
+   * Window/tab manager, connected and initialized.
+   */
+  async windows() {
+    const wm = this._track(new WindowManager({ transport: this.transport }));
+    await wm.connect();
+    await wm.init();
+    return wm;
+  }
+
+  /**
+   * Site explorer, connected and initialized.
+   * Options are passed to SiteExplorer: { depth, outputDir, harFile }
+   */
+  async explorer(options = {}) {
+    const explorer = this._track(new SiteExplorer({ transport: this.transport, ...options }));
+    await explorer.connect();
+    await explorer.init();
+    return explorer;
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // PAGE HELPERS - delegate to the connected BrowserCDP
+  // ═══════════════════════════════════════════════════════════════════
+  async evaluate(expression) {
+    // One-shot evaluation when nothing is connected yet
+    if (!this.page) return evaluate(expression, { transport: this.transport });
+    return this.page.evaluate(expression);
+  }
+
+  async navigate(url, options) {
+    return this._requirePage().navigate(url, options);
+  }
+
+  async click(selector, options) {
+    return this._requirePage().click(selector, options);
+  }
+
+  async type(selector, text, options) {
+    return this._requirePage().type(selector, text, options);
+  }
+
+  async press(chord) {
+    return this._requirePage().press(chord);
+  }
+
+  async getTitle() {
+    return this._requirePage().getTitle();
+  }
+
+  async getUrl() {
+    return this._requirePage().getUrl();
+  }
+
+  // options: fullPage, selector, format, quality, scale - see BrowserCDP.screenshot
+  async screenshot(filePath, options = {}) {
+    const { buffer } = await this._requirePage().screenshot({ ...options, path: filePath });
+    return buffer;
+  }
+
+  // { device: 'iphone-15' } or { width, height, deviceScaleFactor, mobile, touch, userAgent, landscape }
+  async emulate(options) {
+    return this._requirePage().emulate(options);
+  }
+
+  // options: format, landscape, margin, pageRanges, headerTemplate, ... - see BrowserCDP.pdf
+  async pdf(filePath, options = {}) {
+    const { buffer } = await this._requirePage().pdf({ ...options, path: filePath });
+    return buffer;
+  }
+
+  close() {
+    for (const client of this.clients) {
+      try { client.close(); } catch {}
+    }
+    this.clients = [];
+    this.page = null;
+  }
+}
+
+module.exports = {
+  Glider,
+  BrowserCDP,
+  WindowManager,
+  SiteExplorer,
+  DirectCDP,
+  evaluate,
+  checkChrome,
+  createTransport,
+  ...errors,
+};
@@ -7,8 +7,12 @@
  *   - evaluate: Run JS in page context
  *   - navigate: Go to URL
  *   - screenshot: Capture page
+ *   - pdf: Print page to PDF
+ *   - emulate: Device metrics, touch, user agent (presets in devices.json),
+ *              geolocation, timezone, locale, offline/throttled network
  *   - click: Click element by selector
  *   - type: Type text into element
+ *   - press: Keys and chords (Enter, Ctrl+A)
  *   - scroll: Scroll page
  *   - wait: Wait for selector/navigation
  *   - dom: Query DOM elements
@@ -20,63 +24,129 @@
  *   - debug: Set breakpoints, inspect variables
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
+const { createTransport } = require('./transport');
+const { ElementNotFoundError, NavigationError, TimeoutError, UsageError, fromExceptionDetails } = require('./errors');
+const { MODIFIERS, keyDefinition, parseChord } = require('./bkeys');
+const DEVICES = require('./devices.json');
 
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
+// How long click/type/hover wait for an element to become actionable
+const ACTION_TIMEOUT = 5000;
+
+// What navigate/reload/goBack/goForward wait for
+const WAIT_UNTIL = ['load', 'domcontentloaded', 'networkidle', 'none'];
+
+const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp'];
+
+// "iPhone 15" / "iphone_15" / "iphone-15" -> the devices.json entry
+function findDevice(name) {
+  const key = String(name).trim().toLowerCase().replace(/[\s_]+/g, '-');
+  if (!DEVICES[key]) throw new UsageError(`Unknown device: ${name} (${Object.keys(DEVICES).join(', ')})`);
+  return DEVICES[key];
+}
+
+// Network.emulateNetworkConditions profiles - latency in ms, throughput in bytes/s (DevTools' numbers)
+const NETWORK_PROFILES = {
+  'slow-3g': { latency: 2000, downloadThroughput: 50000, uploadThroughput: 50000 },
+  '3g': { latency: 562.5, downloadThroughput: 180000, uploadThroughput: 84375 },
+  '4g': { latency: 170, downloadThroughput: 1012500, uploadThroughput: 168750 },
+};
+
+// throttle: profile name | 'none' | { latency (ms), download, upload (kbit/s) }
+function networkConditions({ offline = false, throttle }) {
+  let profile = { latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+  if (throttle && throttle !== 'none') {
+    if (typeof throttle === 'object') {
+      profile = {
+        latency: Number(throttle.latency) || 0,
+        downloadThroughput: throttle.download ? throttle.download * 125 : -1,
+        uploadThroughput: throttle.upload ? throttle.upload * 125 : -1,
+      };
+    } else {
+      profile = NETWORK_PROFILES[String(throttle).toLowerCase()];
+      if (!profile) throw new UsageError(`Unknown throttle profile: ${throttle} (${Object.keys(NETWORK_PROFILES).join(', ')}, none)`);
+    }
+  }
+  return { offline: !!offline, ...profile };
+}
+
+// "52.52,13.40[,accuracy]" | { latitude, longitude, accuracy } -> setGeolocationOverride params
+function parseGeolocation(geo) {
+  const [latitude, longitude, accuracy = 100] = typeof geo === 'object'
+    ? [geo.latitude, geo.longitude, geo.accuracy]
+    : String(geo).split(',').map(part => Number(part.trim()));
+  if (!(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180) || !(accuracy >= 0)) {
+    throw new UsageError(`Bad geolocation: ${typeof geo === 'object' ? JSON.stringify(geo) : geo} (lat,lon[,accuracy])`);
+  }
+  return { latitude, longitude, accuracy };
+}
+
+// Paper sizes for pdf(), width x height in inches (Page.printToPDF's unit)
+const PAPER_SIZES = {
+  letter: [8.5, 11], legal: [8.5, 14], tabloid: [11, 17], ledger: [17, 11],
+  a0: [33.1102, 46.811], a1: [23.3858, 33.1102], a2: [16.5354, 23.3858], a3: [11.6929, 16.5354],
+  a4: [8.2677, 11.6929], a5: [5.8268, 8.2677], a6: [4.1339, 5.8268],
+};
+const UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4, px: 96 };
+
+// 8.5 / "8.5in" / "21cm" / "210mm" / "800px" -> inches; bare numbers are CSS pixels
+function toInches(value) {
+  const m = String(value).trim().match(/^(\d*\.?\d+)\s*(in|cm|mm|px)?$/i);
+  if (!m) throw new UsageError(`Bad length: ${value} (e.g. 1cm, 10mm, 0.5in, 40px)`);
+  return Number(m[1]) / UNITS_PER_INCH[(m[2] || 'px').toLowerCase()];
+}
+
+// "1cm" | "1cm 2cm" | "1cm 2cm 1cm 2cm" (CSS order) | { top, right, bottom, left }
+function marginInches(margin) {
+  if (margin === undefined || margin === null) return {};
+  let top, right, bottom, left;
+  if (typeof margin === 'object') {
+    ({ top = 0, right = 0, bottom = 0, left = 0 } = margin);
+  } else {
+    const parts = String(margin).trim().split(/\s+/);
+    [top, right = top, bottom = top, left = right] = parts;
+  }
+  return {
+    marginTop: toInches(top),
+    marginRight: toInches(right),
+    marginBottom: toInches(bottom),
+    marginLeft: toInches(left),
+  };
+}
 
 class BrowserCDP {
-  constructor() {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+  /**
+   * options.transport: 'relay' | 'direct' | shared transport instance
+   * (defaults to GLIDER_TRANSPORT, then relay)
+   */
+  constructor(options = {}) {
+    this.transport = createTransport(options);
     this.sessionId = null;
     this.targetId = null;
     this.scripts = new Map();
     this.eventHandlers = new Map();
-  }
-
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(RELAY_URL);
-      this.ws.on('open', resolve);
-      this.ws.on('error', reject);
-      this.ws.on('message', (data) => this._handleMessage(JSON.parse(data.toString())));
-    });
-  }
+    this.emulation = {};      // what emulate() has set on this session
 
-  _handleMessage(msg) {
-    if (msg.id !== undefined) {
-      const pending = this.pending.get(msg.id);
-      if (pending) {
-        this.pending.delete(msg.id);
-        msg.error ? pending.reject(new Error(msg.error.message)) : pending.resolve(msg.result);
-      }
-      return;
-    }
-    
-    // Events
-    if (msg.method === 'Target.attachedToTarget') {
-      if (!this.sessionId) {
-        this.sessionId = msg.params.sessionId;
-        this.targetId = msg.params.targetInfo.targetId;
-      }
-    }
-    
-    if (msg.method === 'Debugger.scriptParsed') {
-      const { scriptId, url } = msg.params;
+    this.on('Debugger.scriptParsed', ({ scriptId, url }) => {
       if (url && !url.startsWith('chrome') && !url.startsWith('devtools')) {
         this.scripts.set(url, scriptId);
       }
-    }
-    
-    // Custom event handlers
-    const handlers = this.eventHandlers.get(msg.method);
-    if (handlers) handlers.forEach(h => h(msg.params));
+    });
+  }
+
+  async connect() {
+    await this.transport.connect();
   }
 
+  // Custom event handlers - only events from our own tab are delivered
   on(event, handler) {
-    if (!this.eventHandlers.has(event)) this.eventHandlers.set(event, new Set());
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+      this.transport.on(event, (params, sessionId) => {
+        if (sessionId && sessionId !== this.sessionId) return;
+        this.eventHandlers.get(event)?.forEach(h => h(params));
+      });
+    }
     this.eventHandlers.get(event).add(handler);
   }
 
@@ -85,27 +155,17 @@ class BrowserCDP {
   }
 
   async send(method, params = {}, sessionId = null) {
-    const id = ++this.messageId;
-    const msg = { id, method, params };
-    if (sessionId || this.sessionId) msg.sessionId = sessionId || this.sessionId;
-    this.ws.send(JSON.stringify(msg));
-    
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 30000);
-      this.pending.set(id, {
-        resolve: (r) => { clearTimeout(timer); resolve(r); },
-        reject: (e) => { clearTimeout(timer); reject(e); }
-      });
-    });
+    return this.transport.send(method, params, sessionId || this.sessionId);
   }
 
-  async init() {
-    await this.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: false, flatten: true }, null);
-    await new Promise(r => setTimeout(r, 500));
-    if (!this.sessionId) throw new Error('No browser tab connected');
+  /**
+   * Attach to a tab (default: first real page) and enable the core domains.
+   * target: { sessionId } or { targetId } as returned by transport.getTargets()
+   */
+  async init(target) {
+    this.sessionId = await this.transport.attach(target);
+    const targets = await this.transport.getTargets();
+    this.targetId = targets.find(t => t.sessionId === this.sessionId)?.targetId || target?.targetId || null;
     await this.send('Runtime.enable');
     await this.send('Page.enable');
     await this.send('DOM.enable');
@@ -117,38 +177,135 @@ class BrowserCDP {
   // ═══════════════════════════════════════════════════════════════════
   async evaluate(expression, { returnByValue = true, awaitPromise = true } = {}) {
     const result = await this.send('Runtime.evaluate', { expression, returnByValue, awaitPromise });
-    if (result.exceptionDetails) throw new Error(result.exceptionDetails.text);
+    if (result.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
     return result.result.value;
   }
 
+  /**
+   * Scroll the first match into view and wait until it can take real input:
+   * rendered, not disabled, and not covered by another element at its center.
+   * Returns the center in viewport coordinates. ElementNotFoundError if nothing
+   * ever matches, TimeoutError (with the last reason) if it never becomes actionable.
+   */
+  async _actionable(selector, { timeout = ACTION_TIMEOUT } = {}) {
+    const start = Date.now();
+    let state;
+    for (;;) {
+      state = await this.evaluate(`(() => {
+        const el = document.querySelector(${JSON.stringify(selector)});
+        if (!el) return { reason: 'missing' };
+        el.scrollIntoView({ block: 'center', inline: 'center', behavior: 'instant' });
+        const rect = el.getBoundingClientRect();
+        const style = getComputedStyle(el);
+        if (!rect.width || !rect.height || style.visibility === 'hidden') return { reason: 'not visible' };
+        if (el.disabled || el.closest('fieldset[disabled]') || el.getAttribute('aria-disabled') === 'true') return { reason: 'disabled' };
+        const x = rect.x + rect.width / 2, y = rect.y + rect.height / 2;
+        const hit = document.elementFromPoint(x, y);
+        if (hit && hit !== el && !el.contains(hit)) {
+          return { reason: 'covered by ' + hit.tagName.toLowerCase() + (hit.id ? '#' + hit.id : '') };
+        }
+        return { x, y };
+      })()`);
+      if (!state.reason) return state;
+      if (Date.now() - start >= timeout) break;
+      await new Promise(r => setTimeout(r, 100));
+    }
+    if (state.reason === 'missing') throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+    throw new TimeoutError(`Element not actionable (${state.reason}): ${selector}`, { selector, reason: state.reason });
+  }
+
+  // Runs body with `el` bound to the first match
+  async _withElement(selector, body) {
+    const found = await this.evaluate(`(() => {
+      const el = document.querySelector(${JSON.stringify(selector)});
+      if (!el) return false;
+      ${body}
+      return true;
+    })()`);
+    if (!found) throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+  }
+
   // ═══════════════════════════════════════════════════════════════════
   // NAVIGATION
   // ═══════════════════════════════════════════════════════════════════
-  async navigate(url, { waitUntil = 'load', timeout = 30000 } = {}) {
-    const loadPromise = new Promise(resolve => {
-      const handler = () => { this.off('Page.loadEventFired', handler); resolve(); };
-      this.on('Page.loadEventFired', handler);
-      setTimeout(() => { this.off('Page.loadEventFired', handler); resolve(); }, timeout);
-    });
-    await this.send('Page.navigate', { url });
-    if (waitUntil === 'load') await loadPromise;
+  /**
+   * Navigate and wait: waitUntil load | domcontentloaded | networkidle (load, then
+   * 500ms without requests) | none. Resolves to { url, status, statusText } of the
+   * main document response (status null if there was none, e.g. a #hash change).
+   * NavigationError when the page can't load (errorText), TimeoutError if the wait runs out.
+   */
+  async navigate(url, options = {}) {
+    return this._navigation(() => this.send('Page.navigate', { url }), { ...options, url });
   }
 
-  async reload() {
-    await this.send('Page.reload');
+  async reload(options = {}) {
+    return this._navigation(() => this.send('Page.reload'), options);
   }
 
-  async goBack() {
-    const history = await this.send('Page.getNavigationHistory');
-    if (history.currentIndex > 0) {
-      await this.send('Page.navigateToHistoryEntry', { entryId: history.entries[history.currentIndex - 1].id });
-    }
+  // false when there's no page to go back/forward to
+  async goBack(options = {}) {
+    return this._history(-1, options);
+  }
+
+  async goForward(options = {}) {
+    return this._history(1, options);
   }
 
-  async goForward() {
+  async _history(delta, options) {
     const history = await this.send('Page.getNavigationHistory');
-    if (history.currentIndex < history.entries.length - 1) {
-      await this.send('Page.navigateToHistoryEntry', { entryId: history.entries[history.currentIndex + 1].id });
+    const entry = history.entries?.[history.currentIndex + delta];
+    if (!entry) return false;
+    return this._navigation(() => this.send('Page.navigateToHistoryEntry', { entryId: entry.id }), { ...options, url: entry.url });
+  }
+
+  async _navigation(trigger, { waitUntil = 'load', timeout = 30000, url } = {}) {
+    if (!WAIT_UNTIL.includes(waitUntil)) {
+      throw new UsageError(`Unknown waitUntil: ${waitUntil} (${WAIT_UNTIL.join(', ')})`);
+    }
+    const start = Date.now();
+    const responses = new Map(); // loaderId -> main document response
+    let lastResponse = null;
+    let done;
+    const loaded = new Promise(resolve => { done = resolve; });
+    const events = {
+      'Network.responseReceived': ({ loaderId, type, response }) => {
+        if (type !== 'Document') return;
+        responses.set(loaderId, response);
+        lastResponse = response;
+      },
+      [waitUntil === 'domcontentloaded' ? 'Page.domContentEventFired' : 'Page.loadEventFired']: () => done(),
+      // No load event for these: #hash/pushState changes and back/forward cache restores
+      'Page.navigatedWithinDocument': () => done(),
+      'Page.frameNavigated': ({ frame, type }) => {
+        if (!frame.parentId && type === 'BackForwardCacheRestore') done();
+      },
+    };
+    for (const [event, handler] of Object.entries(events)) this.on(event, handler);
+
+    let timer;
+    try {
+      const result = await trigger() || {};
+      if (result.errorText) {
+        throw new NavigationError(`${result.errorText}${url ? ` (${url})` : ''}`, { url: url || null, errorText: result.errorText });
+      }
+      if (waitUntil !== 'none') {
+        const expired = new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new TimeoutError(`Navigation timeout after ${timeout}ms waiting for ${waitUntil}`, { url: url || null })), timeout);
+        });
+        await Promise.race([loaded, expired]);
+        if (waitUntil === 'networkidle') {
+          await this.waitForNetwork({ timeout: 500, maxWait: Math.max(timeout - (Date.now() - start), 0) });
+        }
+      }
+      const response = (result.loaderId && responses.get(result.loaderId)) || lastResponse;
+      return {
+        url: response?.url || url || await this.getUrl().catch(() => null),
+        status: response?.status ?? null,
+        statusText: response?.statusText || null,
+      };
+    } finally {
+      clearTimeout(timer);
+      for (const [event, handler] of Object.entries(events)) this.off(event, handler);
     }
   }
 
@@ -163,46 +320,219 @@ class BrowserCDP {
   // ═══════════════════════════════════════════════════════════════════
   // SCREENSHOT
   // ═══════════════════════════════════════════════════════════════════
-  async screenshot({ path, format = 'png', quality = 80, fullPage = false } = {}) {
+  /**
+   * Viewport by default. fullPage: the whole scrollable page; selector: clipped to
+   * the first match's box; clip: { x, y, width, height } in page coordinates.
+   * format png | jpeg | webp, quality 0-100 (jpeg/webp), scale: device pixels per CSS pixel.
+   */
+  async screenshot({ path, format = 'png', quality = 80, fullPage = false, selector, clip, scale } = {}) {
+    if (!SCREENSHOT_FORMATS.includes(format)) {
+      throw new UsageError(`Unknown screenshot format: ${format} (${SCREENSHOT_FORMATS.join(', ')})`);
+    }
+    if (format !== 'png' && !(quality >= 0 && quality <= 100)) throw new UsageError(`quality must be 0-100, got: ${quality}`);
+    if (scale !== undefined && !(scale > 0)) throw new UsageError(`scale must be > 0, got: ${scale}`);
+
     const params = { format };
-    if (format === 'jpeg') params.quality = quality;
-    if (fullPage) {
+    if (format !== 'png') params.quality = Math.round(quality);
+    if (selector) {
+      clip = await this.evaluate(`(() => {
+        const el = document.querySelector(${JSON.stringify(selector)});
+        if (!el) return null;
+        const rect = el.getBoundingClientRect();
+        return { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height };
+      })()`);
+      if (!clip) throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+      if (!clip.width || !clip.height) throw new ElementNotFoundError(`Element has no size (not rendered): ${selector}`, { selector });
+    } else if (fullPage || (scale !== undefined && !clip)) {
       const metrics = await this.send('Page.getLayoutMetrics');
-      params.clip = { x: 0, y: 0, width: metrics.contentSize.width, height: metrics.contentSize.height, scale: 1 };
+      if (fullPage) {
+        const size = metrics.cssContentSize || metrics.contentSize;
+        clip = { x: 0, y: 0, width: size.width, height: size.height };
+      } else {
+        const view = metrics.cssVisualViewport || metrics.visualViewport;
+        clip = { x: view.pageX, y: view.pageY, width: view.clientWidth, height: view.clientHeight };
+      }
+    }
+    if (clip) {
+      params.clip = { ...clip, scale: scale ?? 1 };
+      // Parts of the page outside the viewport are rendered too
+      params.captureBeyondViewport = true;
     }
+
     const result = await this.send('Page.captureScreenshot', params);
     const buffer = Buffer.from(result.data, 'base64');
     if (path) fs.writeFileSync(path, buffer);
-    return { data: result.data, buffer };
+    return { data: result.data, buffer, format, clip: params.clip || null };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════
+  // EMULATION - lasts as long as this debugging session
+  // ═══════════════════════════════════════════════════════════════════
+  /**
+   * device: a preset from devices.json; width, height, deviceScaleFactor, mobile,
+   * touch, userAgent override the preset's values (or stand alone). landscape swaps
+   * width and height. Also geolocation ("lat,lon" or { latitude, longitude, accuracy }),
+   * timezone (IANA id), locale (also sent as Accept-Language), offline, and throttle
+   * (slow-3g | 3g | 4g | none | { latency, download, upload }).
+   * Only what's given changes; returns the settings applied.
+   */
+  async emulate({ device, landscape = false, ...overrides } = {}) {
+    const settings = { ...(device ? findDevice(device) : {}) };
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) settings[key] = value;
+    }
+    for (const key of ['width', 'height']) {
+      if (settings[key] !== undefined && !(Number.isInteger(settings[key]) && settings[key] > 0 && settings[key] <= 10000)) {
+        throw new UsageError(`${key} must be 1-10000 pixels, got: ${settings[key]}`);
+      }
+    }
+    if (settings.deviceScaleFactor !== undefined && !(settings.deviceScaleFactor > 0)) {
+      throw new UsageError(`deviceScaleFactor must be > 0, got: ${settings.deviceScaleFactor}`);
+    }
+    if (settings.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat('en-US', { timeZone: settings.timezone });
+      } catch {
+        throw new UsageError(`Unknown timezone: ${settings.timezone} (IANA id, e.g. Europe/Berlin)`);
+      }
+    }
+    if (settings.locale !== undefined) {
+      try {
+        Intl.getCanonicalLocales(settings.locale);
+      } catch {
+        throw new UsageError(`Bad locale: ${settings.locale} (e.g. de-DE)`);
+      }
+    }
+    const geolocation = settings.geolocation !== undefined ? parseGeolocation(settings.geolocation) : null;
+    const merged = { ...this.emulation, ...settings };
+    const network = settings.offline !== undefined || settings.throttle !== undefined ? networkConditions(merged) : null;
+    if (landscape && settings.width && settings.height) {
+      [settings.width, settings.height] = [settings.height, settings.width];
+    }
+
+    if (['width', 'height', 'deviceScaleFactor', 'mobile'].some(key => settings[key] !== undefined)) {
+      const params = {
+        width: settings.width || 0,           // 0 = keep the window's
+        height: settings.height || 0,
+        deviceScaleFactor: settings.deviceScaleFactor || 0,
+        mobile: !!settings.mobile,
+      };
+      if (settings.mobile) {
+        params.screenOrientation = landscape ? { type: 'landscapePrimary', angle: 90 } : { type: 'portraitPrimary', angle: 0 };
+      }
+      await this.send('Emulation.setDeviceMetricsOverride', params);
+    }
+    if (settings.touch !== undefined) {
+      await this.send('Emulation.setTouchEmulationEnabled', settings.touch ? { enabled: true, maxTouchPoints: 5 } : { enabled: false });
+    }
+    if (settings.userAgent || settings.locale) {
+      // One override carries both - keep whichever of the two was set earlier
+      const params = { userAgent: merged.userAgent || await this.evaluate('navigator.userAgent') };
+      if (merged.locale) params.acceptLanguage = merged.locale;
+      await this.send('Emulation.setUserAgentOverride', params);
+    }
+    if (settings.locale) {
+      await this.send('Emulation.setLocaleOverride', { locale: settings.locale });
+    }
+    if (settings.timezone) {
+      await this.send('Emulation.setTimezoneOverride', { timezoneId: settings.timezone });
+    }
+    if (geolocation) {
+      // Best effort - a relay tab can't grant permissions, the page may still ask
+      await this.transport.send('Browser.grantPermissions', { permissions: ['geolocation'] }).catch(() => {});
+      await this.send('Emulation.setGeolocationOverride', geolocation);
+      settings.geolocation = geolocation;
+    }
+    if (network) {
+      await this.send('Network.emulateNetworkConditions', network);
+    }
+    this.emulation = { ...this.emulation, ...settings };
+    return { ...settings, landscape };
+  }
+
+  // Back to the real window, user agent, location, timezone, locale and network
+  async resetEmulation() {
+    await this.send('Emulation.clearDeviceMetricsOverride');
+    await this.send('Emulation.setTouchEmulationEnabled', { enabled: false });
+    await this.send('Emulation.setUserAgentOverride', { userAgent: '' });
+    await this.send('Emulation.setLocaleOverride', {});
+    await this.send('Emulation.setTimezoneOverride', { timezoneId: '' });
+    await this.send('Emulation.clearGeolocationOverride');
+    await this.send('Network.emulateNetworkConditions', networkConditions({}));
+    this.emulation = {};
   }
 
   // ═══════════════════════════════════════════════════════════════════
   // DOM INTERACTION
   // ═══════════════════════════════════════════════════════════════════
-  async click(selector, { button = 'left', clickCount = 1 } = {}) {
-    const box = await this.evaluate(`
-      const el = document.querySelector(${JSON.stringify(selector)});
-      if (!el) throw new Error('Element not found: ${selector}');
-      const rect = el.getBoundingClientRect();
-      ({ x: rect.x + rect.width/2, y: rect.y + rect.height/2 })
-    `);
+  async click(selector, { button = 'left', clickCount = 1, timeout } = {}) {
+    const box = await this._actionable(selector, { timeout });
+    await this.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: box.x, y: box.y });
     await this.send('Input.dispatchMouseEvent', { type: 'mousePressed', x: box.x, y: box.y, button, clickCount });
     await this.send('Input.dispatchMouseEvent', { type: 'mouseReleased', x: box.x, y: box.y, button, clickCount });
   }
 
-  async type(selector, text, { delay = 0 } = {}) {
-    await this.click(selector);
-    for (const char of text) {
-      await this.send('Input.dispatchKeyEvent', { type: 'keyDown', text: char });
-      await this.send('Input.dispatchKeyEvent', { type: 'keyUp', text: char });
+  /**
+   * Click into the element and type text key by key (delay: ms between keys).
+   * clear: select the current value first, so the text replaces it.
+   */
+  async type(selector, text, { delay = 0, clear = false, timeout } = {}) {
+    await this.click(selector, { timeout });
+    if (clear) {
+      await this._withElement(selector, `
+        if (typeof el.select === 'function') el.select();
+        else if (el.isContentEditable) getSelection().selectAllChildren(el);
+      `);
+    }
+    await this.keyboardType(text, { delay });
+  }
+
+  // Types into whatever has focus; characters without a key (emoji, CJK) are inserted as text
+  async keyboardType(text, { delay = 0 } = {}) {
+    for (const char of String(text)) {
+      const def = keyDefinition(char === '\n' ? 'Enter' : char);
+      if (def?.text) {
+        await this._key('keyDown', def);
+        await this._key('keyUp', def);
+      } else {
+        await this.send('Input.insertText', { text: char });
+      }
       if (delay) await new Promise(r => setTimeout(r, delay));
     }
   }
 
+  /**
+   * Press a key or chord on the focused element: "Enter", "Ctrl+A", "Shift+Tab".
+   * Modifiers go down in order and come back up in reverse.
+   */
+  async press(chord) {
+    const { keys } = parseChord(chord);
+    let held = 0;
+    for (const def of keys) {
+      held |= MODIFIERS[def.key] || 0;
+      await this._key('keyDown', def, held);
+    }
+    for (const def of [...keys].reverse()) {
+      held &= ~(MODIFIERS[def.key] || 0);
+      await this._key('keyUp', def, held);
+    }
+  }
+
+  async _key(type, def, modifiers = 0) {
+    await this.send('Input.dispatchKeyEvent', {
+      type: type === 'keyDown' && !def.text ? 'rawKeyDown' : type,
+      key: def.key,
+      code: def.code,
+      windowsVirtualKeyCode: def.keyCode,
+      text: type === 'keyDown' ? def.text : undefined,
+      unmodifiedText: type === 'keyDown' ? def.text : undefined,
+      location: def.location,
+      modifiers,
+    });
+  }
+
   async fill(selector, value) {
-    await this.evaluate(`
-      const el = document.querySelector(${JSON.stringify(selector)});
-      if (!el) throw new Error('Element not found: ${selector}');
+    await this._withElement(selector, `
       el.value = ${JSON.stringify(value)};
       el.dispatchEvent(new Event('input', { bubbles: true }));
       el.dispatchEvent(new Event('change', { bubbles: true }));
@@ -210,21 +540,14 @@ class BrowserCDP {
   }
 
   async select(selector, value) {
-    await this.evaluate(`
-      const el = document.querySelector(${JSON.stringify(selector)});
-      if (!el) throw new Error('Element not found: ${selector}');
+    await this._withElement(selector, `
       el.value = ${JSON.stringify(value)};
       el.dispatchEvent(new Event('change', { bubbles: true }));
     `);
   }
 
-  async hover(selector) {
-    const box = await this.evaluate(`
-      const el = document.querySelector(${JSON.stringify(selector)});
-      if (!el) throw new Error('Element not found: ${selector}');
-      const rect = el.getBoundingClientRect();
-      ({ x: rect.x + rect.width/2, y: rect.y + rect.height/2 })
-    `);
+  async hover(selector, { timeout } = {}) {
+    const box = await this._actionable(selector, { timeout });
     await this.send('Input.dispatchMouseEvent', { type: 'mouseMoved', x: box.x, y: box.y });
   }
 
@@ -232,7 +555,7 @@ class BrowserCDP {
     if (selector) {
       await this.evaluate(`document.querySelector(${JSON.stringify(selector)})?.scrollIntoView({ behavior: 'smooth' })`);
     } else {
-      await this.evaluate(`window.scrollBy(${x}, ${y})`);
+      await this.evaluate(`window.scrollBy(${Number(x) || 0}, ${Number(y) || 0})`);
     }
   }
 
@@ -247,40 +570,88 @@ class BrowserCDP {
   // ═══════════════════════════════════════════════════════════════════
   // WAIT
   // ═══════════════════════════════════════════════════════════════════
-  async waitForSelector(selector, { timeout = 30000, visible = false } = {}) {
+  async waitForSelector(selector, { timeout = 30000, visible = false, hidden = false } = {}) {
+    // hidden: gone from the DOM or not rendered. Boxes, not offsetParent - that's null for position: fixed
+    const check = hidden ? '!shown' : visible ? 'shown' : '!!el';
     const start = Date.now();
     while (Date.now() - start < timeout) {
-      const exists = await this.evaluate(`
+      const ok = await this.evaluate(`(() => {
         const el = document.querySelector(${JSON.stringify(selector)});
-        ${visible ? 'el && el.offsetParent !== null' : '!!el'}
-      `);
-      if (exists) return true;
+        const style = el && getComputedStyle(el);
+        const shown = !!el && el.getClientRects().length > 0 && style.display !== 'none' && style.visibility !== 'hidden';
+        return ${check};
+      })()`);
+      if (ok) return true;
       await new Promise(r => setTimeout(r, 100));
     }
-    throw new Error(`Timeout waiting for selector: ${selector}`);
+    throw new TimeoutError(`Timeout waiting for selector${hidden ? ' to hide' : ''}: ${selector}`, { selector });
+  }
+
+  // pattern: substring, RegExp, or "/regex/flags" string
+  async waitForUrl(pattern, { timeout = 30000 } = {}) {
+    let test;
+    const m = typeof pattern === 'string' && pattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (pattern instanceof RegExp) test = url => pattern.test(url);
+    else if (m) test = url => new RegExp(m[1], m[2]).test(url);
+    else test = url => url.includes(pattern);
+
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      try {
+        const url = await this.evaluate('location.href');
+        if (test(url)) return url;
+      } catch {} // mid-navigation - context is gone, try again
+      await new Promise(r => setTimeout(r, 100));
+    }
+    throw new TimeoutError(`Timeout waiting for URL: ${pattern}`);
+  }
+
+  // Polls a JS expression until it returns something truthy, resolves to that value
+  async waitForFunction(expression, { timeout = 30000, polling = 100 } = {}) {
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+      try {
+        const value = await this.evaluate(expression);
+        if (value) return value;
+      } catch {}
+      await new Promise(r => setTimeout(r, polling));
+    }
+    throw new TimeoutError(`Timeout waiting for function: ${expression}`);
   }
 
   async waitForNavigation({ timeout = 30000 } = {}) {
     return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => reject(new Error('Navigation timeout')), timeout);
+      const timer = setTimeout(() => reject(new TimeoutError('Navigation timeout')), timeout);
       const handler = () => { clearTimeout(timer); this.off('Page.loadEventFired', handler); resolve(); };
       this.on('Page.loadEventFired', handler);
     });
   }
 
-  async waitForNetwork({ timeout = 5000 } = {}) {
-    // Wait for network to be idle (no requests for timeout ms)
+  async waitForNetwork({ timeout = 5000, maxWait = 30000 } = {}) {
+    // Wait for network to be idle (nothing in flight for timeout ms), give up after maxWait
+    const inflight = new Set();
     let lastActivity = Date.now();
-    const handler = () => { lastActivity = Date.now(); };
-    this.on('Network.requestWillBeSent', handler);
-    this.on('Network.responseReceived', handler);
-    
-    while (Date.now() - lastActivity < timeout) {
-      await new Promise(r => setTimeout(r, 100));
+    const started = ({ requestId }) => { inflight.add(requestId); lastActivity = Date.now(); };
+    const finished = ({ requestId }) => { inflight.delete(requestId); lastActivity = Date.now(); };
+    const events = {
+      'Network.requestWillBeSent': started,
+      'Network.responseReceived': () => { lastActivity = Date.now(); },
+      'Network.loadingFinished': finished,
+      'Network.loadingFailed': finished,
+    };
+    for (const [event, handler] of Object.entries(events)) this.on(event, handler);
+
+    try {
+      const start = Date.now();
+      while (inflight.size > 0 || Date.now() - lastActivity < timeout) {
+        if (Date.now() - start > maxWait) {
+          throw new TimeoutError(`Timeout waiting for network idle (${inflight.size} request(s) in flight)`);
+        }
+        await new Promise(r => setTimeout(r, 100));
+      }
+    } finally {
+      for (const [event, handler] of Object.entries(events)) this.off(event, handler);
     }
-    
-    this.off('Network.requestWillBeSent', handler);
-    this.off('Network.responseReceived', handler);
   }
 
   // ═══════════════════════════════════════════════════════════════════
@@ -371,8 +742,8 @@ class BrowserCDP {
   async editScript(urlOrId, oldString, newString) {
     const source = await this.getScriptSource(urlOrId);
     const count = (source.match(new RegExp(oldString.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g')) || []).length;
-    if (count === 0) throw new Error('oldString not found');
-    if (count > 1) throw new Error(`oldString found ${count} times - make it unique`);
+    if (count === 0) throw new UsageError('oldString not found');
+    if (count > 1) throw new UsageError(`oldString found ${count} times - make it unique`);
     const newSource = source.replace(oldString, newString);
     return this.setScriptSource(urlOrId, newSource);
   }
@@ -466,17 +837,49 @@ class BrowserCDP {
     }))`);
   }
 
-  async pdf({ path, format = 'A4', printBackground = true } = {}) {
-    const result = await this.send('Page.printToPDF', { format, printBackground });
+  /**
+   * Print the page to PDF. format: paper name (A4, Letter, Legal, Tabloid, Ledger, A0-A6),
+   * or width/height as lengths ("21cm", "8.5in", "800px"). margin: one to four CSS-style
+   * lengths or { top, right, bottom, left }. pageRanges: "1-3, 5". headerTemplate /
+   * footerTemplate: HTML with <span class="pageNumber">, totalPages, title, url, date -
+   * setting one blanks the other, and they only show inside the margins.
+   */
+  async pdf({
+    path, format = 'A4', width, height, landscape = false, margin, printBackground = true,
+    pageRanges, headerTemplate, footerTemplate, scale, preferCSSPageSize = false,
+  } = {}) {
+    const paper = PAPER_SIZES[String(format).toLowerCase()];
+    if (!paper && !(width && height)) {
+      throw new UsageError(`Unknown paper format: ${format} (${Object.keys(PAPER_SIZES).join(', ')}, or width and height)`);
+    }
+    if (scale !== undefined && !(scale >= 0.1 && scale <= 2)) throw new UsageError(`scale must be 0.1-2, got: ${scale}`);
+
+    const params = {
+      paperWidth: width ? toInches(width) : paper[0],
+      paperHeight: height ? toInches(height) : paper[1],
+      landscape: !!landscape,
+      printBackground: !!printBackground,
+      preferCSSPageSize: !!preferCSSPageSize,
+      ...marginInches(margin),
+    };
+    if (pageRanges) params.pageRanges = String(pageRanges);
+    if (scale !== undefined) params.scale = scale;
+    if (headerTemplate || footerTemplate) {
+      params.displayHeaderFooter = true;
+      params.headerTemplate = headerTemplate || '<span></span>';
+      params.footerTemplate = footerTemplate || '<span></span>';
+    }
+
+    const result = await this.send('Page.printToPDF', params);
     const buffer = Buffer.from(result.data, 'base64');
     if (path) fs.writeFileSync(path, buffer);
-    return { data: result.data, buffer };
+    return { data: result.data, buffer, params };
   }
 
   close() {
-    if (this.ws) this.ws.close();
+    this.transport.close();
   }
 }
 
 // Export for programmatic use
-module.exports = { BrowserCDP };
+module.exports = { BrowserCDP, DEVICES };
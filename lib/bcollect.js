@@ -0,0 +1,153 @@
+/**
+ * bcollect.js - Append-only result sinks for the collect: step
+ * Records go to a JSONL or CSV file, each dedupe key at most once. Seen keys
+ * are rebuilt from the file when it is opened, so they survive loop
+ * iterations, --resume and separate runs writing to the same file.
+ *
+ *   const sink = new Collector('posts.jsonl', { key: 'url' });
+ *   sink.add([{ url: 'https://a', title: 'A' }]);   // { added: 1, skipped: 0 }
+ *
+ * key: field name, dotted path ('author.id') or list of fields; default is the whole record.
+ * CSV columns come from `fields`, else the existing header, else the first batch with
+ * objects in it (a sink of plain values gets a single `value` column).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FORMATS = ['jsonl', 'csv'];
+
+function getPath(obj, dotted) {
+  return String(dotted).split('.').reduce((value, part) => (value == null ? undefined : value[part]), obj);
+}
+
+// Cell text - objects as JSON, which is also what a dedupe key compares against after a reload
+function cellText(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Reloaded CSV cell - objects and arrays were written as JSON, so nested keys still resolve
+function parseCell(text) {
+  if (!/^[[{]/.test(text)) return text;
+  try { return JSON.parse(text); } catch { return text; }
+}
+
+function csvCell(value) {
+  const text = cellText(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// RFC 4180-ish: quoted fields may hold commas, quotes ("") and newlines
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows;
+}
+
+class Collector {
+  constructor(file, { format, key = null, fields = null } = {}) {
+    this.file = path.resolve(file);
+    this.format = format || (/\.csv$/i.test(file) ? 'csv' : 'jsonl');
+    if (!FORMATS.includes(this.format)) throw new Error(`Unknown collect format: ${this.format} (jsonl or csv)`);
+    this.key = key;
+    this.fields = fields;
+    this.seen = new Set();
+    this.count = 0;
+    this.load();
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    const text = fs.readFileSync(this.file, 'utf8');
+    let records;
+    if (this.format === 'csv') {
+      const [header, ...rows] = parseCsv(text);
+      if (!header) return;
+      // The file's header wins - appending other columns would corrupt it
+      this.fields = header;
+      records = rows.map(row => Object.fromEntries(header.map((field, i) => [field, parseCell(row[i] ?? '')])));
+    } else {
+      records = text.split('\n').filter(line => line.trim()).flatMap(line => {
+        try { return [JSON.parse(line)]; } catch { return []; }
+      });
+    }
+    for (const record of records) this.seen.add(this.keyOf(record));
+    this.count = records.length;
+  }
+
+  keyOf(record) {
+    if (!this.key) return this.format === 'csv' ? this.row(record) : JSON.stringify(record);
+    if (record === null || typeof record !== 'object') return cellText(record);
+    const parts = (Array.isArray(this.key) ? this.key : [this.key]).map(k => getPath(record, k));
+    // Records without the key are only deduped against identical records
+    if (parts.some(part => part === undefined)) return JSON.stringify(record);
+    return parts.map(cellText).join('\u0000');
+  }
+
+  row(record) {
+    if (record === null || typeof record !== 'object') return csvCell(record);
+    // An object landing in a plain-value sink keeps its content rather than an empty row
+    if (this.fields.length === 1 && this.fields[0] === 'value' && !('value' in record)) return csvCell(record);
+    return this.fields.map(field => csvCell(record[field])).join(',');
+  }
+
+  /**
+   * Append records not seen before. Returns { added, skipped }.
+   */
+  add(records) {
+    const list = Array.isArray(records) ? records : [records];
+    if (!list.length) return { added: 0, skipped: 0 };
+    let header = '';
+    if (this.format === 'csv' && !this.fields) {
+      const objects = list.filter(r => r !== null && typeof r === 'object');
+      this.fields = objects.length ? [...new Set(objects.flatMap(Object.keys))] : ['value'];
+      header = `${this.fields.map(csvCell).join(',')}\n`;
+    }
+
+    const lines = [];
+    let skipped = 0;
+    for (const record of list) {
+      const key = this.keyOf(record);
+      if (this.seen.has(key)) {
+        skipped++;
+        continue;
+      }
+      this.seen.add(key);
+      lines.push(this.format === 'csv' ? this.row(record) : JSON.stringify(record));
+    }
+
+    if (header || lines.length) {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(this.file, header + lines.map(line => `${line}\n`).join(''));
+    }
+    this.count += lines.length;
+    return { added: lines.length, skipped };
+  }
+}
+
+module.exports = { Collector, parseCsv };
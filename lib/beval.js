@@ -1,63 +1,26 @@
 #!/usr/bin/env node
 // Quick script to run JS in connected browser tab
-const WebSocket = require('ws');
-
-const RELAY_URL = 'ws://127.0.0.1:19988/cdp';
-
-async function evaluate(script) {
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(RELAY_URL);
-    let sessionId = null;
-    let msgId = 0;
-    const pending = new Map();
-
-    ws.on('open', () => {
-      ws.send(JSON.stringify({ id: ++msgId, method: 'Target.setAutoAttach', params: { autoAttach: true, waitForDebuggerOnStart: false, flatten: true } }));
-    });
-
-    ws.on('error', reject);
-
-    ws.on('message', async (data) => {
-      const msg = JSON.parse(data.toString());
-      
-      if (msg.method === 'Target.attachedToTarget') {
-        sessionId = msg.params.sessionId;
-        // Enable Runtime
-        ws.send(JSON.stringify({ id: ++msgId, method: 'Runtime.enable', params: {}, sessionId }));
-      }
-      
-      if (msg.id && pending.has(msg.id)) {
-        pending.get(msg.id)(msg);
-        pending.delete(msg.id);
-      }
-      
-      // After Runtime.enable, run our script
-      if (msg.id === 2 && sessionId) {
-        const evalId = ++msgId;
-        ws.send(JSON.stringify({
-          id: evalId,
-          method: 'Runtime.evaluate',
-          params: { expression: script, returnByValue: true, awaitPromise: true },
-          sessionId
-        }));
-        pending.set(evalId, (result) => {
-          ws.close();
-          if (result.result?.result?.value !== undefined) {
-            resolve(result.result.result.value);
-          } else if (result.result?.exceptionDetails) {
-            reject(new Error(result.result.exceptionDetails.text));
-          } else {
-            resolve(result);
-          }
-        });
-      }
-    });
-
-    setTimeout(() => { 
-      ws.close();
-      reject(new Error('Timeout')); 
-    }, 10000);
-  });
+const { createTransport } = require('./transport');
+const { exitCodeFor, fromExceptionDetails } = require('./errors');
+
+const TIMEOUT = 10000;
+
+async function evaluate(script, options = {}) {
+  const transport = createTransport(options);
+  try {
+    await transport.connect();
+    const sessionId = await transport.attach();
+    await transport.send('Runtime.enable', {}, sessionId, TIMEOUT);
+    const result = await transport.send('Runtime.evaluate', {
+      expression: script, returnByValue: true, awaitPromise: true
+    }, sessionId, TIMEOUT);
+
+    if (result?.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
+    if (result?.result?.value !== undefined) return result.result.value;
+    return result;
+  } finally {
+    transport.close();
+  }
 }
 
 // Export for programmatic use
@@ -73,6 +36,6 @@ if (require.main === module) {
     })
     .catch(err => {
       console.error('Error:', err.message);
-      process.exit(1);
+      process.exit(exitCodeFor(err));
     });
 }
@@ -7,19 +7,28 @@
  *   node bexplore.js <url> [--depth N] [--output dir] [--har file.har]
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
 const path = require('path');
+const { createTransport } = require('./transport');
+const { fromExceptionDetails } = require('./errors');
 
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
+// Events captured from the explored tab
+const CAPTURED_EVENTS = [
+  'Network.requestWillBeSent',
+  'Network.responseReceived',
+  'Network.webSocketCreated',
+  'Debugger.scriptParsed',
+  'CSS.styleSheetAdded',
+  'Runtime.consoleAPICalled',
+  'Runtime.exceptionThrown',
+];
 
 class SiteExplorer {
   constructor(options = {}) {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+    this.transport = createTransport(options);
     this.sessionId = null;
     this.eventHandlers = new Map();
+    this.subscribed = new Set();
     
     // Exploration state
     this.visited = new Set();
@@ -58,30 +67,21 @@ class SiteExplorer {
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(RELAY_URL);
-      this.ws.on('open', resolve);
-      this.ws.on('error', reject);
-      this.ws.on('message', (data) => this._handleMessage(JSON.parse(data.toString())));
+    await this.transport.connect();
+    CAPTURED_EVENTS.forEach(method => this._subscribe(method));
+  }
+
+  // Route an event from our tab through _handleMessage (once per method)
+  _subscribe(method) {
+    if (this.subscribed.has(method)) return;
+    this.subscribed.add(method);
+    this.transport.on(method, (params, sessionId) => {
+      if (sessionId && sessionId !== this.sessionId) return;
+      this._handleMessage({ method, params });
     });
   }
 
   _handleMessage(msg) {
-    if (msg.id !== undefined) {
-      const pending = this.pending.get(msg.id);
-      if (pending) {
-        this.pending.delete(msg.id);
-        msg.error ? pending.reject(new Error(msg.error.message)) : pending.resolve(msg.result);
-      }
-      return;
-    }
-    
-    if (msg.method === 'Target.attachedToTarget') {
-      if (!this.sessionId) {
-        this.sessionId = msg.params.sessionId;
-      }
-    }
-    
     // Capture EVERYTHING
     if (msg.method === 'Network.requestWillBeSent') {
       this.requests.push({
@@ -157,30 +157,15 @@ class SiteExplorer {
   on(event, handler) {
     if (!this.eventHandlers.has(event)) this.eventHandlers.set(event, new Set());
     this.eventHandlers.get(event).add(handler);
+    this._subscribe(event);
   }
 
   async send(method, params = {}) {
-    const id = ++this.messageId;
-    const msg = { id, method, params };
-    if (this.sessionId) msg.sessionId = this.sessionId;
-    this.ws.send(JSON.stringify(msg));
-    
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 30000);
-      this.pending.set(id, {
-        resolve: (r) => { clearTimeout(timer); resolve(r); },
-        reject: (e) => { clearTimeout(timer); reject(e); }
-      });
-    });
+    return this.transport.send(method, params, this.sessionId);
   }
 
   async init() {
-    await this.send('Target.setAutoAttach', { autoAttach: true, waitForDebuggerOnStart: false, flatten: true });
-    await new Promise(r => setTimeout(r, 500));
-    if (!this.sessionId) throw new Error('No browser tab connected');
+    this.sessionId = await this.transport.attach();
     
     // Enable ALL the things
     await Promise.all([
@@ -205,7 +190,7 @@ class SiteExplorer {
       returnByValue: true, 
       awaitPromise: true 
     });
-    if (result.exceptionDetails) throw new Error(result.exceptionDetails.text);
+    if (result.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
     return result.result.value;
   }
 
@@ -402,12 +387,12 @@ class SiteExplorer {
 
   async clickElement(selector) {
     try {
-      const box = await this.evaluate(`
+      const box = await this.evaluate(`(() => {
         const el = document.querySelector(${JSON.stringify(selector)});
         if (!el) return null;
         const rect = el.getBoundingClientRect();
-        ({ x: rect.x + rect.width/2, y: rect.y + rect.height/2, visible: el.offsetParent !== null })
-      `);
+        return { x: rect.x + rect.width/2, y: rect.y + rect.height/2, visible: el.offsetParent !== null };
+      })()`);
       
       if (!box || !box.visible) return false;
       
@@ -423,14 +408,14 @@ class SiteExplorer {
   async clickByText(text) {
     try {
       // First try to find and get bounding box
-      const box = await this.evaluate(`
+      const box = await this.evaluate(`(() => {
         const el = Array.from(document.querySelectorAll('button, a, [role="button"], [role="tab"], [class*="btn"]'))
           .find(e => e.textContent?.trim().toLowerCase().includes(${JSON.stringify(text.toLowerCase())}));
         if (!el) return null;
         const rect = el.getBoundingClientRect();
         if (rect.width === 0 || rect.height === 0) return null;
-        ({ x: rect.x + rect.width/2, y: rect.y + rect.height/2 })
-      `);
+        return { x: rect.x + rect.width/2, y: rect.y + rect.height/2 };
+      })()`);
       
       if (!box) return false;
       
@@ -546,11 +531,11 @@ class SiteExplorer {
       if (cb.label) {
         console.error(`[explore] Toggling checkbox: ${cb.label}`);
         try {
-          await this.evaluate(`
+          await this.evaluate(`(() => {
             const cb = Array.from(document.querySelectorAll('input[type="checkbox"]'))
               .find(e => e.labels?.[0]?.textContent?.includes(${JSON.stringify(cb.label)}));
             if (cb) cb.click();
-          `);
+          })()`);
           await new Promise(r => setTimeout(r, 500));
         } catch (e) {
           console.error(`[explore] Checkbox toggle failed: ${e.message}`);
@@ -715,7 +700,7 @@ class SiteExplorer {
   }
 
   close() {
-    if (this.ws) this.ws.close();
+    this.transport.close();
   }
 }
 
@@ -12,10 +12,11 @@
  * Options:
  *   --js <expr>         JavaScript expression to evaluate (default: document.body.innerText)
  *   --selector <sel>    CSS selector to extract
- *   --sessions <list>   Comma-separated session IDs
+ *   --sessions <list>   Comma-separated session (or target) IDs
  *   --exclude <list>    Comma-separated sessions to exclude
  *   --limit <n>         Max characters per result (default: 10000)
  *   --timeout <ms>      Timeout per extraction (default: 15000)
+ *   --concurrency <n>   Tabs evaluated at once (default: 5)
  *   --json              Output as JSON
  *   --quiet             Suppress progress output
  * 
@@ -25,94 +26,95 @@
  *   bextract --selector 'article' --sessions session-2,session-3
  */
 
-const WebSocket = require('ws');
-const http = require('http');
+const { createTransport, envSelector, selectTarget } = require('./transport');
+const { TimeoutError, fromExceptionDetails, fromPayload, toGliderError } = require('./errors');
 
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
 const DEFAULT_LIMIT = 10000;
 const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_CONCURRENCY = 5;
 
-async function getTargets() {
-  return new Promise((resolve) => {
-    http.get('http://127.0.0.1:19988/targets', (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(JSON.parse(data)));
-    }).on('error', () => resolve([]));
-  });
+async function extractFromSession(transport, sessionId, jsExpr, options = {}) {
+  const { timeout = DEFAULT_TIMEOUT, limit = DEFAULT_LIMIT } = options;
+  
+  let result;
+  try {
+    result = await transport.send('Runtime.evaluate', {
+      expression: jsExpr,
+      returnByValue: true
+    }, sessionId, timeout);
+  } catch (err) {
+    if (err instanceof TimeoutError) throw new TimeoutError(`Timeout for ${sessionId}`);
+    throw err;
+  }
+  if (result?.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
+  
+  let value = result?.result?.value;
+  if (typeof value === 'string' && value.length > limit) {
+    value = value.substring(0, limit) + `\n... [truncated at ${limit} chars]`;
+  }
+  return value;
 }
 
-async function extractFromSession(sessionId, jsExpr, options = {}) {
-  const { timeout = DEFAULT_TIMEOUT, limit = DEFAULT_LIMIT } = options;
+/**
+ * Tabs to extract from: [{ sessionId, targetId, url }]
+ * sessions/exclude match sessionId (relay) or targetId, before anything is attached -
+ * direct tabs are attached here, and only the ones that are left (excluded tabs get no debugger).
+ * A global tab selector (glider --tab/--url-match) narrows it to that one tab.
+ */
+async function resolveSessions(transport, options = {}) {
+  const { sessions = null, exclude = [], selector = envSelector() } = options;
   
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(RELAY_URL);
-    let resolved = false;
-    
-    const timer = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        ws.close();
-        reject(new Error(`Timeout for ${sessionId}`));
-      }
-    }, timeout);
-    
-    ws.on('open', () => {
-      ws.send(JSON.stringify({
-        id: 1,
-        sessionId,
-        method: 'Runtime.evaluate',
-        params: { 
-          expression: jsExpr,
-          returnByValue: true 
-        }
-      }));
-    });
-    
-    ws.on('message', (data) => {
-      const msg = JSON.parse(data.toString());
-      if (msg.id === 1 && !resolved) {
-        resolved = true;
-        clearTimeout(timer);
-        ws.close();
-        
-        if (msg.error) {
-          reject(new Error(msg.error.message));
-        } else {
-          let value = msg.result?.result?.value;
-          if (typeof value === 'string' && value.length > limit) {
-            value = value.substring(0, limit) + `\n... [truncated at ${limit} chars]`;
-          }
-          resolve(value);
-        }
-      }
-    });
-    
-    ws.on('error', (err) => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timer);
-        reject(err);
-      }
-    });
+  let targets = await transport.getTargets();
+  if (selector) targets = [selectTarget(targets, selector)];
+  
+  const matches = (t, ids) => ids.includes(t.sessionId) || ids.includes(t.targetId);
+  const filtered = [];
+  for (const t of targets) {
+    if (sessions && !matches(t, sessions)) continue;
+    if (exclude.length > 0 && matches(t, exclude)) continue;
+    // Direct tabs need a session before they can be evaluated
+    t.sessionId = t.sessionId || await transport.attach(t);
+    filtered.push({ sessionId: t.sessionId, targetId: t.targetId, url: t.targetInfo?.url });
+  }
+  return filtered;
+}
+
+/**
+ * null if any tab succeeded, else one typed error for the whole extraction -
+ * the tabs' own type (TIMEOUT, JS_EXCEPTION, ...) when they all agree.
+ */
+function allFailedError(results) {
+  const failed = Object.values(results);
+  if (!failed.length || failed.some(r => !r.error)) return null;
+  const codes = new Set(failed.map(r => r.code));
+  return fromPayload({
+    code: codes.size === 1 ? [...codes][0] : 'ERROR',
+    message: `all ${failed.length} tab(s) failed - ${failed[0].error}`,
   });
 }
 
-async function extractParallel(sessions, jsExpr, options = {}) {
-  const { quiet = false } = options;
+async function extractParallel(transport, sessions, jsExpr, options = {}) {
+  const { quiet = false, concurrency = DEFAULT_CONCURRENCY } = options;
   const results = {};
+  // Seed in tab order - workers finish in any order
+  for (const { sessionId, url } of sessions) results[sessionId] = { url, content: null, error: null };
   
-  const promises = sessions.map(async ({ sessionId, url }) => {
-    try {
-      if (!quiet) console.error(`[bextract] Extracting from ${sessionId}...`);
-      const content = await extractFromSession(sessionId, jsExpr, options);
-      results[sessionId] = { url, content, error: null };
-    } catch (err) {
-      results[sessionId] = { url, content: null, error: err.message };
+  const queue = [...sessions];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { sessionId } = queue.shift();
+      try {
+        if (!quiet) console.error(`[bextract] Extracting from ${sessionId}...`);
+        results[sessionId].content = await extractFromSession(transport, sessionId, jsExpr, options);
+      } catch (err) {
+        results[sessionId].error = err.message;
+        results[sessionId].code = toGliderError(err).code;
+      }
     }
-  });
+  };
   
-  await Promise.all(promises);
+  const workers = Math.max(1, Math.min(concurrency || sessions.length, sessions.length));
+  await Promise.all(Array.from({ length: workers }, worker));
   return results;
 }
 
@@ -125,6 +127,7 @@ async function main() {
   let exclude = [];
   let limit = DEFAULT_LIMIT;
   let timeout = DEFAULT_TIMEOUT;
+  let concurrency = DEFAULT_CONCURRENCY;
   let outputJson = false;
   let quiet = false;
   
@@ -142,6 +145,8 @@ async function main() {
       limit = parseInt(args[++i], 10);
     } else if (arg === '--timeout' || arg === '-t') {
       timeout = parseInt(args[++i], 10);
+    } else if (arg === '--concurrency' || arg === '-c') {
+      concurrency = parseInt(args[++i], 10);
     } else if (arg === '--json' || arg === '-j') {
       outputJson = true;
     } else if (arg === '--quiet' || arg === '-q') {
@@ -160,10 +165,11 @@ Usage:
 Options:
   -e, --js <expr>       JavaScript expression (default: document.body.innerText)
   -s, --selector <sel>  CSS selector to extract
-  --sessions <list>     Comma-separated session IDs
+  --sessions <list>     Comma-separated session (or target) IDs
   -x, --exclude <list>  Sessions to exclude
   -l, --limit <n>       Max chars per result (default: ${DEFAULT_LIMIT})
   -t, --timeout <ms>    Timeout per extraction (default: ${DEFAULT_TIMEOUT})
+  -c, --concurrency <n> Tabs evaluated at once (default: ${DEFAULT_CONCURRENCY})
   -j, --json            Output as JSON
   -q, --quiet           Suppress progress output
   -h, --help            Show this help
@@ -174,41 +180,31 @@ Options:
   
   // Build JS expression
   if (selector) {
-    jsExpr = `document.querySelector('${selector}')?.innerText || ''`;
+    jsExpr = `document.querySelector(${JSON.stringify(selector)})?.innerText || ''`;
   }
   
+  const transport = createTransport();
+  
   try {
-    // Get targets
-    const targets = await getTargets();
-    if (targets.length === 0) {
+    await transport.connect();
+    
+    if ((await transport.getTargets()).length === 0) {
       console.error('Error: No browser tabs connected. Click extension icon on tabs first.');
       process.exit(1);
     }
     
-    // Filter sessions
-    let filteredTargets = targets;
-    if (sessions) {
-      filteredTargets = targets.filter(t => sessions.includes(t.sessionId));
-    }
-    if (exclude.length > 0) {
-      filteredTargets = filteredTargets.filter(t => !exclude.includes(t.sessionId));
-    }
-    
+    const filteredTargets = await resolveSessions(transport, { sessions, exclude });
     if (filteredTargets.length === 0) {
       console.error('Error: No matching sessions found');
       process.exit(1);
     }
     
     if (!quiet) {
-      console.error(`[bextract] Extracting from ${filteredTargets.length} tabs in parallel...`);
+      console.error(`[bextract] Extracting from ${filteredTargets.length} tabs (${concurrency} at a time)...`);
     }
     
     // Extract in parallel
-    const results = await extractParallel(
-      filteredTargets.map(t => ({ sessionId: t.sessionId, url: t.targetInfo?.url })),
-      jsExpr,
-      { limit, timeout, quiet }
-    );
+    const results = await extractParallel(transport, filteredTargets, jsExpr, { limit, timeout, quiet, concurrency });
     
     // Output
     if (outputJson) {
@@ -226,11 +222,23 @@ Options:
         }
       }
     }
+    const failure = allFailedError(results);
+    if (failure) {
+      console.error(`Error: ${failure.message}`);
+      process.exitCode = failure.exitCode;
+    }
     
   } catch (err) {
     console.error(`Error: ${err.message}`);
     process.exit(1);
+  } finally {
+    transport.close();
   }
 }
 
-main();
+module.exports = { extractFromSession, extractParallel, allFailedError, resolveSessions, DEFAULT_LIMIT, DEFAULT_TIMEOUT, DEFAULT_CONCURRENCY };
+
+// CLI mode
+if (require.main === module) {
+  main();
+}
@@ -6,11 +6,9 @@
  *   ./bfavicon.js <url> [output.webp]
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
 const { execSync } = require('child_process');
-
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
+const { createTransport } = require('./transport');
 
 const GREEN = '\x1b[32m';
 const RED = '\x1b[31m';
@@ -26,42 +24,18 @@ const log = {
 };
 
 class FaviconExtractor {
-  constructor() {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+  constructor(options = {}) {
+    this.transport = createTransport(options);
+    this.sessionId = null;
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(RELAY_URL);
-      this.ws.on('open', () => resolve());
-      this.ws.on('error', (err) => reject(new Error(`Connection failed: ${err.message}`)));
-      this.ws.on('message', (data) => {
-        const msg = JSON.parse(data.toString());
-        if (msg.id !== undefined) {
-          const pending = this.pending.get(msg.id);
-          if (pending) {
-            this.pending.delete(msg.id);
-            msg.error ? pending.reject(new Error(msg.error.message)) : pending.resolve(msg.result);
-          }
-        }
-      });
-    });
+    await this.transport.connect();
+    this.sessionId = await this.transport.attach();
   }
 
   async send(method, params = {}) {
-    const id = ++this.messageId;
-    return new Promise((resolve, reject) => {
-      this.pending.set(id, { resolve, reject });
-      this.ws.send(JSON.stringify({ id, method, params }));
-      setTimeout(() => {
-        if (this.pending.has(id)) {
-          this.pending.delete(id);
-          reject(new Error('Timeout'));
-        }
-      }, 30000);
-    });
+    return this.transport.send(method, params, this.sessionId);
   }
 
   async navigate(url) {
@@ -149,7 +123,7 @@ class FaviconExtractor {
   }
 
   close() {
-    if (this.ws) this.ws.close();
+    this.transport.close();
   }
 }
 
@@ -8,97 +8,36 @@
  *   ./fetch-via-browser.js https://www.reddit.com/r/programming.json
  */
 
-const WebSocket = require('ws');
-
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
+const { createTransport } = require('./transport');
+const { fromExceptionDetails } = require('./errors');
 
 class BrowserFetcher {
-  constructor() {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+  constructor(options = {}) {
+    this.transport = createTransport(options);
     this.sessionId = null;
     this.targetId = null;
   }
 
   async connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(RELAY_URL);
-      
-      this.ws.on('open', () => {
-        console.error('[fetcher] Connected to relay');
-        resolve();
-      });
-      
-      this.ws.on('error', (err) => {
-        reject(new Error(`Connection failed: ${err.message}`));
-      });
-      
-      this.ws.on('message', (data) => {
-        const msg = JSON.parse(data.toString());
-        
-        // Response to our command
-        if (msg.id !== undefined) {
-          const pending = this.pending.get(msg.id);
-          if (pending) {
-            this.pending.delete(msg.id);
-            if (msg.error) {
-              pending.reject(new Error(msg.error.message));
-            } else {
-              pending.resolve(msg.result);
-            }
-          }
-          return;
-        }
-        
-        // Event
-        if (msg.method === 'Target.attachedToTarget') {
-          if (!this.sessionId) {
-            this.sessionId = msg.params.sessionId;
-            this.targetId = msg.params.targetInfo.targetId;
-            console.error(`[fetcher] Got target: ${msg.params.targetInfo.url}`);
-          }
-        }
-      });
-    });
+    try {
+      await this.transport.connect();
+    } catch (err) {
+      throw new Error(`Connection failed: ${err.message}`);
+    }
+    console.error(`[fetcher] Connected via ${this.transport.name}`);
   }
 
   async send(method, params = {}, sessionId = null) {
-    const id = ++this.messageId;
-    const msg = { id, method, params };
-    if (sessionId) msg.sessionId = sessionId;
-    
-    this.ws.send(JSON.stringify(msg));
-    
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 30000);
-      
-      this.pending.set(id, {
-        resolve: (result) => { clearTimeout(timer); resolve(result); },
-        reject: (error) => { clearTimeout(timer); reject(error); }
-      });
-    });
+    return this.transport.send(method, params, sessionId);
   }
 
   async init() {
-    // Initialize connection to browser
-    await this.send('Target.setAutoAttach', {
-      autoAttach: true,
-      waitForDebuggerOnStart: false,
-      flatten: true
-    });
-    
-    // Wait for target
-    if (!this.sessionId) {
-      await new Promise((resolve) => setTimeout(resolve, 500));
-    }
-    
-    if (!this.sessionId) {
-      throw new Error('No browser tab connected. Click the extension icon on a tab first.');
-    }
+    // Attach to the first real tab
+    this.sessionId = await this.transport.attach();
+    const targets = await this.transport.getTargets();
+    const target = targets.find(t => t.sessionId === this.sessionId);
+    this.targetId = target?.targetId || null;
+    if (target) console.error(`[fetcher] Got target: ${target.targetInfo?.url}`);
     
     // Enable Runtime for evaluation
     await this.send('Runtime.enable', {}, this.sessionId);
@@ -137,9 +76,7 @@ class BrowserFetcher {
       returnByValue: true
     }, this.sessionId);
     
-    if (result.exceptionDetails) {
-      throw new Error(result.exceptionDetails.text || 'Evaluation failed');
-    }
+    if (result.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
     
     return result.result.value;
   }
@@ -169,9 +106,7 @@ class BrowserFetcher {
   }
 
   close() {
-    if (this.ws) {
-      this.ws.close();
-    }
+    this.transport.close();
   }
 }
 
@@ -0,0 +1,108 @@
+/**
+ * bkeys.js - US keyboard layout for Input.dispatchKeyEvent
+ * Turns characters and key names into the key/code/keyCode Chrome expects,
+ * and parses chords for `glider press`.
+ *
+ *   keyDefinition('a')         // { key: 'a', code: 'KeyA', keyCode: 65, text: 'a' }
+ *   parseChord('Ctrl+Shift+T') // { modifiers: 10, keys: [Control, Shift, T] }
+ *
+ * Names are case-insensitive and take the usual aliases (ctrl, cmd, esc, return, up, ...).
+ */
+
+const { UsageError } = require('./errors');
+
+// Input.dispatchKeyEvent modifier bits
+const MODIFIERS = { Alt: 1, Control: 2, Meta: 4, Shift: 8 };
+
+const KEYS = {};
+
+function define(key, code, keyCode, extra = {}) {
+  KEYS[key] = { key, code, keyCode, ...extra };
+}
+
+for (let c = 65; c <= 90; c++) {
+  const upper = String.fromCharCode(c);
+  const lower = upper.toLowerCase();
+  define(lower, `Key${upper}`, c, { text: lower, shiftKey: upper });
+}
+')!@#$%^&*('.split('').forEach((shiftKey, d) => define(String(d), `Digit${d}`, 48 + d, { text: String(d), shiftKey }));
+[
+  ['-', 'Minus', 189, '_'], ['=', 'Equal', 187, '+'], ['[', 'BracketLeft', 219, '{'], [']', 'BracketRight', 221, '}'],
+  ['\\', 'Backslash', 220, '|'], [';', 'Semicolon', 186, ':'], ["'", 'Quote', 222, '"'], [',', 'Comma', 188, '<'],
+  ['.', 'Period', 190, '>'], ['/', 'Slash', 191, '?'], ['`', 'Backquote', 192, '~'],
+].forEach(([key, code, keyCode, shiftKey]) => define(key, code, keyCode, { text: key, shiftKey }));
+
+define(' ', 'Space', 32, { text: ' ' });
+define('Enter', 'Enter', 13, { text: '\r' });
+define('Tab', 'Tab', 9);
+define('Backspace', 'Backspace', 8);
+define('Delete', 'Delete', 46);
+define('Escape', 'Escape', 27);
+define('Insert', 'Insert', 45);
+define('Home', 'Home', 36);
+define('End', 'End', 35);
+define('PageUp', 'PageUp', 33);
+define('PageDown', 'PageDown', 34);
+define('ArrowLeft', 'ArrowLeft', 37);
+define('ArrowUp', 'ArrowUp', 38);
+define('ArrowRight', 'ArrowRight', 39);
+define('ArrowDown', 'ArrowDown', 40);
+define('CapsLock', 'CapsLock', 20);
+for (let n = 1; n <= 12; n++) define(`F${n}`, `F${n}`, 111 + n);
+define('Shift', 'ShiftLeft', 16, { location: 1 });
+define('Control', 'ControlLeft', 17, { location: 1 });
+define('Alt', 'AltLeft', 18, { location: 1 });
+define('Meta', 'MetaLeft', 91, { location: 1 });
+
+const ALIASES = {
+  ctrl: 'Control', control: 'Control', cmd: 'Meta', command: 'Meta', meta: 'Meta', super: 'Meta', win: 'Meta',
+  alt: 'Alt', option: 'Alt', opt: 'Alt', shift: 'Shift',
+  esc: 'Escape', return: 'Enter', del: 'Delete', ins: 'Insert', space: ' ', spacebar: ' ',
+  up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight',
+  pgup: 'PageUp', pgdn: 'PageDown', plus: '+',
+};
+
+// Characters typed with Shift held ('A', '!', ...) -> their key
+const SHIFTED = {};
+for (const def of Object.values(KEYS)) {
+  if (def.shiftKey) SHIFTED[def.shiftKey] = def;
+}
+
+const BY_NAME = {};
+for (const key of Object.keys(KEYS)) BY_NAME[key.toLowerCase()] = KEYS[key];
+
+/**
+ * Definition for a single character or key name, null if unknown.
+ * Shifted characters come back with key/text set to the shifted character.
+ */
+function keyDefinition(name) {
+  if (KEYS[name]) return KEYS[name];
+  if (SHIFTED[name]) return { ...SHIFTED[name], key: name, text: name };
+  const lower = String(name).toLowerCase();
+  if (ALIASES[lower]) return keyDefinition(ALIASES[lower]);
+  return BY_NAME[lower] || null;
+}
+
+/**
+ * "Ctrl+A", "Shift+Tab", "Enter", "Ctrl++" -> { modifiers, keys }
+ * keys are pressed in order and released in reverse; modifiers is the bitmask
+ * for everything held down while the last key goes down.
+ */
+function parseChord(chord) {
+  const parts = String(chord).split(/\+(?=.)/);
+  const keys = parts.map(part => {
+    // In a chord "A" is the A key - Shift decides the case
+    const def = keyDefinition(parts.length > 1 && /^[A-Z]$/.test(part) ? part.toLowerCase() : part);
+    if (!def) throw new UsageError(`Unknown key: ${part} (in "${chord}")`);
+    return def;
+  });
+  const modifiers = keys.slice(0, -1).reduce((bits, def) => bits | (MODIFIERS[def.key] || 0), 0);
+  let last = keys[keys.length - 1];
+  if (modifiers & MODIFIERS.Shift && last.shiftKey) last = { ...last, key: last.shiftKey, text: last.shiftKey };
+  // Ctrl/Alt/Meta chords are shortcuts, they don't type anything
+  if (modifiers & ~MODIFIERS.Shift) last = { ...last, text: undefined };
+  keys[keys.length - 1] = last;
+  return { modifiers, keys };
+}
+
+module.exports = { MODIFIERS, keyDefinition, parseChord };
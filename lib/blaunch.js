@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+/**
+ * blaunch.js - Launch a local Chrome/Chromium with remote debugging
+ * For Linux boxes and CI where the extension + relay flow isn't available.
+ * Pair with the direct transport: glider --transport direct <command>
+ *
+ * Usage:
+ *   node blaunch.js [--headless] [--profile dir]   # start browser
+ *   node blaunch.js stop                           # stop it again
+ *
+ * The launched process is recorded in ~/.glider/chrome.json so `glider stop`
+ * can tear it down (and delete the temp profile if we created one).
+ * Binary: $GLIDER_CHROME, else the first chrome/chromium found on this system.
+ */
+
+const { spawn, execSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { checkChrome, DEBUG_PORT } = require('./cdp-direct');
+const { UsageError, ConnectionError } = require('./errors');
+
+const STATE_DIR = path.join(os.homedir(), '.glider');
+const STATE_FILE = path.join(STATE_DIR, 'chrome.json');
+const LOG_FILE = path.join(STATE_DIR, 'chrome.log');
+
+// Binary names on PATH, then well-known install locations
+const CANDIDATES = {
+  linux: [
+    'google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome',
+    '/usr/bin/google-chrome', '/usr/bin/chromium', '/usr/bin/chromium-browser', '/snap/bin/chromium',
+  ],
+  darwin: [
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    'google-chrome', 'chromium',
+  ],
+  win32: [
+    path.join(process.env.PROGRAMFILES || 'C:\\Program Files', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env['PROGRAMFILES(X86)'] || 'C:\\Program Files (x86)', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+    path.join(process.env.LOCALAPPDATA || '', 'Google', 'Chrome', 'Application', 'chrome.exe'),
+  ],
+};
+
+function findChrome() {
+  if (process.env.GLIDER_CHROME) return process.env.GLIDER_CHROME;
+  for (const candidate of CANDIDATES[process.platform] || CANDIDATES.linux) {
+    if (path.isAbsolute(candidate)) {
+      if (fs.existsSync(candidate)) return candidate;
+      continue;
+    }
+    try {
+      const found = execSync(`command -v ${candidate}`, { stdio: ['ignore', 'pipe', 'ignore'], shell: '/bin/sh' }).toString().trim();
+      if (found) return found;
+    } catch {}
+  }
+  return null;
+}
+
+function readState() {
+  try {
+    return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Start a browser with --remote-debugging-port and wait for /json/version.
+ * Returns { pid, port, binary, userDataDir, browser, reused }
+ */
+async function launchChrome({ headless = false, profile = null, url = 'about:blank', timeout = 15000 } = {}) {
+  const existing = readState();
+  if (existing && isAlive(existing.pid)) {
+    const check = await checkChrome();
+    if (check.ok) return { ...existing, browser: check.version.Browser, reused: true };
+  } else if (existing) {
+    // Ours died without `glider stop` - drop its temp profile and state
+    clearState(existing);
+  }
+  // Something else already has the port - our browser couldn't bind it, and stop would kill the wrong pid
+  const busy = await checkChrome();
+  if (busy.ok) {
+    throw new UsageError(`Port ${DEBUG_PORT} is already in use by ${busy.version.Browser || 'another browser'} - use it with --transport direct, or set GLIDER_DEBUG_PORT`);
+  }
+
+  const binary = findChrome();
+  if (!binary) throw new UsageError('No Chrome/Chromium found. Install one or set GLIDER_CHROME=/path/to/chrome');
+
+  const tempProfile = !profile;
+  const userDataDir = profile
+    ? path.resolve(profile.replace(/^~/, os.homedir()))
+    : fs.mkdtempSync(path.join(os.tmpdir(), 'glider-chrome-'));
+  fs.mkdirSync(userDataDir, { recursive: true });
+  fs.mkdirSync(STATE_DIR, { recursive: true });
+
+  const args = [
+    `--remote-debugging-port=${DEBUG_PORT}`,
+    `--user-data-dir=${userDataDir}`,
+    '--no-first-run',
+    '--no-default-browser-check',
+  ];
+  if (headless) args.push('--headless=new', '--disable-gpu');
+  // Chrome refuses to sandbox as root (containers, CI)
+  if (process.getuid?.() === 0) args.push('--no-sandbox');
+  args.push(url);
+
+  const logFd = fs.openSync(LOG_FILE, 'a');
+  const child = spawn(binary, args, { detached: true, stdio: ['ignore', logFd, logFd] });
+  // GLIDER_CHROME pointing at nothing fails here, not in findChrome()
+  let spawnError = null;
+  child.on('error', e => { spawnError = e; });
+  child.unref();
+
+  const state = { pid: child.pid, port: Number(DEBUG_PORT), binary, userDataDir, tempProfile, headless, startedAt: Date.now() };
+  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+
+  const start = Date.now();
+  while (Date.now() - start < timeout) {
+    await new Promise(r => setTimeout(r, 250));
+    if (spawnError || !isAlive(child.pid)) break;
+    const check = await checkChrome();
+    // Only counts if our child is still the one running (a browser that handed off to another instance exits)
+    if (check.ok && isAlive(child.pid)) return { ...state, browser: check.version.Browser, reused: false };
+  }
+
+  await stopChrome();
+  if (spawnError) throw new UsageError(`Could not start ${binary}: ${spawnError.message}. Install Chrome/Chromium or fix GLIDER_CHROME`);
+  throw new ConnectionError(`Chrome did not start listening on port ${DEBUG_PORT} (see ${LOG_FILE})`);
+}
+
+/**
+ * Stop the browser started by launchChrome(). Returns false if none was running.
+ */
+async function stopChrome() {
+  const state = readState();
+  if (!state) return false;
+
+  const wasAlive = isAlive(state.pid);
+  if (wasAlive) {
+    try {
+      process.kill(state.pid, 'SIGTERM');
+    } catch {}
+    // Give it a moment to flush the profile before we delete it
+    for (let i = 0; i < 20 && isAlive(state.pid); i++) {
+      await new Promise(r => setTimeout(r, 100));
+    }
+  }
+  clearState(state);
+  return wasAlive;
+}
+
+// Temp profile and state file of a browser that's gone
+function clearState(state) {
+  if (state.tempProfile && state.userDataDir) {
+    try { fs.rmSync(state.userDataDir, { recursive: true, force: true }); } catch {}
+  }
+  try { fs.unlinkSync(STATE_FILE); } catch {}
+}
+
+module.exports = { launchChrome, stopChrome, findChrome, readState, STATE_FILE };
+
+// CLI mode
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  (async () => {
+    if (args[0] === 'stop') {
+      console.log(await stopChrome() ? 'Chrome stopped' : 'Chrome was not running');
+      return;
+    }
+    const info = await launchChrome({
+      headless: args.includes('--headless'),
+      profile: args.includes('--profile') ? args[args.indexOf('--profile') + 1] : null,
+    });
+    console.log(JSON.stringify(info, null, 2));
+  })().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+  });
+}
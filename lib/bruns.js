@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+/**
+ * bruns.js - Run registry for glider loops
+ * Every `glider loop` gets its own directory, so several loops can run side by side:
+ *
+ *   ~/.glider/runs/<run-id>/
+ *     run.json     id, task, pid, status, iteration, claimed tab, timestamps
+ *     state.json   loop state (what --resume reads back)
+ *     lock         pid of the process running it (one process per run dir)
+ *     run.log      everything the loop printed (colors stripped)
+ *     artifacts/   screenshots, exports - {{run.artifacts}} in task files
+ *
+ * Usage:
+ *   node bruns.js list
+ *   node bruns.js show <id>
+ *   node bruns.js stop <id>
+ *
+ * Ids can be shortened to any unique prefix.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageError } = require('./errors');
+
+const RUNS_DIR = path.join(os.homedir(), '.glider', 'runs');
+
+// Ended by Ctrl-C, `glider runs stop`, or a crash ('dead') - anything else finished on its own
+const RESUMABLE = ['interrupted', 'stopped', 'dead'];
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function runDir(id) {
+  return path.join(RUNS_DIR, id);
+}
+
+// Task files are keyed by absolute path, inline prompts by their text
+function taskKey(taskFileOrPrompt) {
+  return fs.existsSync(taskFileOrPrompt) ? path.resolve(taskFileOrPrompt) : taskFileOrPrompt;
+}
+
+function newRunId(taskFileOrPrompt) {
+  const name = fs.existsSync(taskFileOrPrompt)
+    ? path.basename(taskFileOrPrompt, path.extname(taskFileOrPrompt)).replace(/[^\w-]+/g, '-').slice(0, 30)
+    : 'inline';
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${name}-${stamp}-${Math.random().toString(36).slice(2, 5)}`;
+}
+
+/**
+ * Claim a run dir for this process: lock is created exclusively and holds our pid.
+ * A lock left by a dead process is moved aside (rename - only one claimer wins) and retaken.
+ * Released when this process exits. Returns false if another live process holds it.
+ */
+function lockRun(id) {
+  const file = path.join(runDir(id), 'lock');
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      fs.writeFileSync(file, String(process.pid), { flag: 'wx' });
+      process.once('exit', () => unlockRun(id));
+      return true;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    let pid;
+    let age;
+    try {
+      pid = Number(fs.readFileSync(file, 'utf8'));
+      age = Date.now() - fs.statSync(file).mtimeMs;
+    } catch {
+      continue; // released meanwhile
+    }
+    if (pid === process.pid) return true;
+    // An empty lock is one being written right now - unless it's been empty for a while
+    if (pid ? isAlive(pid) : age < 5000) return false;
+    try {
+      fs.renameSync(file, `${file}.stale-${process.pid}`);
+      fs.rmSync(`${file}.stale-${process.pid}`, { force: true });
+    } catch {}
+  }
+  return false;
+}
+
+function unlockRun(id) {
+  const file = path.join(runDir(id), 'lock');
+  try {
+    if (Number(fs.readFileSync(file, 'utf8')) === process.pid) fs.rmSync(file);
+  } catch {}
+}
+
+/**
+ * Register a new run for this process (and lock it). Returns the run record (with dir paths).
+ */
+function createRun(taskFileOrPrompt, meta = {}) {
+  const id = newRunId(taskFileOrPrompt);
+  const dir = runDir(id);
+  fs.mkdirSync(path.join(dir, 'artifacts'), { recursive: true });
+  lockRun(id);
+  const run = {
+    id,
+    task: taskKey(taskFileOrPrompt),
+    pid: process.pid,
+    status: 'running',
+    iteration: 0,
+    startedAt: Date.now(),
+    updatedAt: Date.now(),
+    ...meta,
+  };
+  fs.writeFileSync(path.join(dir, 'run.json'), JSON.stringify(run, null, 2));
+  return withPaths(run);
+}
+
+function withPaths(run) {
+  const dir = runDir(run.id);
+  return {
+    ...run,
+    dir,
+    stateFile: path.join(dir, 'state.json'),
+    logFile: path.join(dir, 'run.log'),
+    artifacts: path.join(dir, 'artifacts'),
+  };
+}
+
+function updateRun(id, patch) {
+  const file = path.join(runDir(id), 'run.json');
+  const run = { ...readJSON(file), ...patch, updatedAt: Date.now() };
+  fs.writeFileSync(file, JSON.stringify(run, null, 2));
+  return run;
+}
+
+// A "running" run whose process is gone crashed or was killed
+function liveStatus(run) {
+  return run.status === 'running' && !isAlive(run.pid) ? 'dead' : run.status;
+}
+
+/**
+ * All runs, newest first, with status corrected for dead processes.
+ */
+function listRuns() {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+  return fs.readdirSync(RUNS_DIR)
+    .map(id => readJSON(path.join(runDir(id), 'run.json')))
+    .filter(Boolean)
+    .map(run => withPaths({ ...run, status: liveStatus(run) }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+}
+
+// Exact id or unique prefix
+function getRun(idOrPrefix) {
+  const runs = listRuns();
+  const exact = runs.find(r => r.id === idOrPrefix);
+  if (exact) return exact;
+  const matches = runs.filter(r => r.id.startsWith(idOrPrefix));
+  if (matches.length > 1) throw new UsageError(`Ambiguous run id: ${idOrPrefix} (${matches.length} matches)`);
+  if (!matches.length) throw new UsageError(`No such run: ${idOrPrefix}`);
+  return matches[0];
+}
+
+/**
+ * Newest interrupted or crashed run of a task, locked for this process - for --resume.
+ * Runs that ended on their own (completed, max_iterations, timeout, ...) start fresh instead.
+ */
+function claimResumableRun(taskFileOrPrompt) {
+  const key = taskKey(taskFileOrPrompt);
+  return listRuns().find(r => r.task === key && RESUMABLE.includes(r.status)
+    && fs.existsSync(r.stateFile) && lockRun(r.id)) || null;
+}
+
+/**
+ * Ask a run's process to stop (SIGTERM - the loop saves its state first).
+ * Returns false if it wasn't running.
+ */
+function stopRun(idOrPrefix) {
+  const run = getRun(idOrPrefix);
+  if (run.status !== 'running' || !isAlive(run.pid)) return false;
+  process.kill(run.pid, 'SIGTERM');
+  return true;
+}
+
+/**
+ * Mirror this process's stdout/stderr into a log file, colors stripped.
+ * Returns a function that stops mirroring.
+ */
+function teeOutput(logFile) {
+  const fd = fs.openSync(logFile, 'a');
+  const originals = {};
+  for (const stream of [process.stdout, process.stderr]) {
+    const write = originals[stream.fd] = stream.write.bind(stream);
+    stream.write = (chunk, ...args) => {
+      try { fs.writeSync(fd, String(chunk).replace(/\x1b\[[0-9;]*m/g, '')); } catch {}
+      return write(chunk, ...args);
+    };
+  }
+  return () => {
+    process.stdout.write = originals[process.stdout.fd];
+    process.stderr.write = originals[process.stderr.fd];
+    try { fs.closeSync(fd); } catch {}
+  };
+}
+
+function tailLog(run, lines = 20) {
+  try {
+    return fs.readFileSync(run.logFile, 'utf8').trimEnd().split('\n').slice(-lines);
+  } catch {
+    return [];
+  }
+}
+
+module.exports = {
+  createRun,
+  updateRun,
+  listRuns,
+  getRun,
+  claimResumableRun,
+  stopRun,
+  teeOutput,
+  tailLog,
+  RUNS_DIR,
+};
+
+// CLI mode
+if (require.main === module) {
+  const [cmd = 'list', id] = process.argv.slice(2);
+  try {
+    if (cmd === 'list') {
+      for (const run of listRuns()) {
+        console.log(`${run.id}  ${run.status}  iter ${run.iteration}  ${run.task}`);
+      }
+    } else if (cmd === 'show') {
+      console.log(JSON.stringify(getRun(id), null, 2));
+    } else if (cmd === 'stop') {
+      console.log(stopRun(id) ? `Stopping ${id}` : `${id} is not running`);
+    } else {
+      console.error('Usage: node bruns.js list|show <id>|stop <id>');
+      process.exitCode = 1;
+    }
+  } catch (e) {
+    console.error('Error:', e.message);
+    process.exitCode = 1;
+  }
+}
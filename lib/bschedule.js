@@ -0,0 +1,446 @@
+#!/usr/bin/env node
+/**
+ * bschedule.js - Run task files on a schedule, next to the relay daemon
+ * Schedules live in ~/.glider/schedules.yaml:
+ *
+ *   schedules:
+ *     - name: feed
+ *       task: /home/me/tasks/feed.yaml
+ *       cron: "0 9 * * 1-5"         # min hour day month weekday, or @hourly/@daily/...
+ *       every: 10m                  # ...or an interval (s, m, h, d)
+ *       mode: loop                  # run (default) | loop
+ *       args: ["-n", "20"]          # extra glider arguments
+ *       vars: { since: "24h" }      # --var overrides
+ *       timeout: 600                # seconds, then SIGTERM
+ *       transport: direct           # default: $GLIDER_TRANSPORT, then relay
+ *       enabled: true
+ *
+ * Each job runs as its own `glider run|loop` process, only when the browser is
+ * reachable (relay + extension, or Chrome for direct). Last result, exit status
+ * and output logs go to ~/.glider/schedules/.
+ *
+ * Usage:
+ *   node bschedule.js start           # scheduler in the foreground (the daemon runs this)
+ *   node bschedule.js list
+ *   node bschedule.js run-now <name>
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { resolveTransportName, getJSON, RELAY_URL } = require('./transport');
+const { checkChrome, DEBUG_PORT } = require('./cdp-direct');
+const { UsageError } = require('./errors');
+
+const GLIDER_DIR = path.join(os.homedir(), '.glider');
+const SCHEDULES_FILE = path.join(GLIDER_DIR, 'schedules.yaml');
+const RESULTS_DIR = path.join(GLIDER_DIR, 'schedules');
+const RESULTS_FILE = path.join(RESULTS_DIR, 'results.json');
+const PID_FILE = path.join(GLIDER_DIR, 'scheduler.pid');
+const GLIDER_BIN = path.join(__dirname, '..', 'bin', 'glider.js');
+const LOGS_KEPT = 20;
+const TICK = 1000;
+
+const MODES = ['run', 'loop'];
+
+// ═══════════════════════════════════════════════════════════════════
+// TIMING - cron expressions and intervals
+// ═══════════════════════════════════════════════════════════════════
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+const CRON_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+const INTERVAL_UNITS = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readJSON(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// "*", "5", "1-5", "*/15", "0-30/10", and lists of those
+function parseCronField(text, [min, max], expr) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!m) throw new UsageError(`Bad cron field "${item}" in "${expr}"`);
+    const step = m[4] ? Number(m[4]) : 1;
+    const lo = m[1] ? min : Number(m[2]);
+    const hi = m[1] ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new UsageError(`Cron field "${item}" out of range ${min}-${max} in "${expr}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+function parseCron(expr) {
+  const source = CRON_ALIASES[String(expr).trim()] || String(expr).trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5) throw new UsageError(`Bad cron expression "${expr}" (min hour day month weekday)`);
+  const fields = parts.map((part, i) => parseCronField(part, CRON_RANGES[i], expr));
+  if (fields[4].has(7)) fields[4].add(0); // 7 is Sunday too
+  return { fields, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+function cronMatches(cron, date) {
+  const [minutes, hours, days, months, weekdays] = cron.fields;
+  if (!minutes.has(date.getMinutes()) || !hours.has(date.getHours()) || !months.has(date.getMonth() + 1)) return false;
+  const dayOk = days.has(date.getDate());
+  const weekdayOk = weekdays.has(date.getDay());
+  // Like cron: with both day and weekday restricted, either one matching is enough
+  if (!cron.anyDay && !cron.anyWeekday) return dayOk || weekdayOk;
+  return dayOk && weekdayOk;
+}
+
+// First matching minute after `from` (ms), null if none within a year
+function nextCronTime(cron, from) {
+  const t = new Date(from);
+  t.setSeconds(0, 0);
+  for (let i = 0; i < 366 * 24 * 60; i++) {
+    t.setMinutes(t.getMinutes() + 1);
+    if (cronMatches(cron, t)) return t.getTime();
+  }
+  return null;
+}
+
+// "90s", "10m", "2h", "1d" -> ms
+function parseInterval(text) {
+  const m = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*([smhd])$/);
+  if (!m || Number(m[1]) <= 0) throw new UsageError(`Bad interval "${text}" (e.g. 30s, 10m, 2h, 1d)`);
+  return Number(m[1]) * INTERVAL_UNITS[m[2]];
+}
+
+/**
+ * When a schedule should next run. Intervals count from the last start;
+ * a schedule that never ran waits one interval (cron: next matching minute).
+ */
+function nextRunTime(schedule, lastStart, now = Date.now()) {
+  if (schedule.every) {
+    const interval = parseInterval(schedule.every);
+    return lastStart ? Math.max(now, lastStart + interval) : now + interval;
+  }
+  return nextCronTime(parseCron(schedule.cron), now);
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SCHEDULES FILE + RESULTS
+// ═══════════════════════════════════════════════════════════════════
+
+function validateSchedule(schedule) {
+  if (!schedule?.name || !/^[\w.-]+$/.test(schedule.name)) throw new UsageError(`Schedule needs a name (letters, digits, - _ .): ${JSON.stringify(schedule?.name)}`);
+  if (!schedule.task) throw new UsageError(`${schedule.name}: no task file`);
+  if (!!schedule.cron === !!schedule.every) throw new UsageError(`${schedule.name}: set either cron or every`);
+  if (schedule.cron) parseCron(schedule.cron);
+  if (schedule.every) parseInterval(schedule.every);
+  if (schedule.mode && !MODES.includes(schedule.mode)) throw new UsageError(`${schedule.name}: mode must be ${MODES.join(' or ')}`);
+  return schedule;
+}
+
+function loadSchedules() {
+  if (!fs.existsSync(SCHEDULES_FILE)) return [];
+  const doc = YAML.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')) || {};
+  return doc.schedules || [];
+}
+
+function saveSchedules(schedules) {
+  fs.mkdirSync(GLIDER_DIR, { recursive: true });
+  fs.writeFileSync(SCHEDULES_FILE, YAML.stringify({ schedules }));
+}
+
+function addSchedule(schedule) {
+  const entry = validateSchedule({ ...schedule, task: path.resolve(schedule.task) });
+  if (!fs.existsSync(entry.task)) throw new UsageError(`Task file not found: ${entry.task}`);
+  const schedules = loadSchedules();
+  if (schedules.some(s => s.name === entry.name)) throw new UsageError(`Schedule already exists: ${entry.name}`);
+  saveSchedules([...schedules, entry]);
+  return entry;
+}
+
+function removeSchedule(name) {
+  const schedules = loadSchedules();
+  if (!schedules.some(s => s.name === name)) throw new UsageError(`No such schedule: ${name}`);
+  saveSchedules(schedules.filter(s => s.name !== name));
+}
+
+function getSchedule(name) {
+  const schedule = loadSchedules().find(s => s.name === name);
+  if (!schedule) throw new UsageError(`No such schedule: ${name}`);
+  return schedule;
+}
+
+function readResults() {
+  return readJSON(RESULTS_FILE) || {};
+}
+
+function recordResult(name, patch) {
+  fs.mkdirSync(RESULTS_DIR, { recursive: true });
+  const results = readResults();
+  results[name] = { ...results[name], ...patch };
+  fs.writeFileSync(RESULTS_FILE, JSON.stringify(results, null, 2));
+  return results[name];
+}
+
+/**
+ * Schedules with their last result and next run time.
+ */
+function listSchedules() {
+  const results = readResults();
+  return loadSchedules().map(schedule => {
+    const last = results[schedule.name] || null;
+    let next = null;
+    let error = null;
+    try {
+      validateSchedule(schedule);
+      if (schedule.enabled !== false) next = nextRunTime(schedule, last?.startedAt);
+    } catch (e) {
+      error = e.message;
+    }
+    // "running" left behind by a scheduler that died mid-job
+    if (last?.status === 'running' && !isAlive(last.pid)) last.status = 'dead';
+    return { ...schedule, last, next, error };
+  });
+}
+
+function schedulerPid() {
+  const pid = Number(fs.existsSync(PID_FILE) && fs.readFileSync(PID_FILE, 'utf8').trim());
+  return pid && isAlive(pid) ? pid : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// JOBS
+// ═══════════════════════════════════════════════════════════════════
+
+// Is there a browser for the job to drive?
+async function browserReady(transportName) {
+  if (resolveTransportName(transportName) === 'direct') {
+    const chrome = await checkChrome();
+    return chrome.ok ? { ok: true } : { ok: false, reason: `Chrome not reachable on port ${DEBUG_PORT}` };
+  }
+  try {
+    const status = await getJSON(new URL('/status', RELAY_URL.replace(/^ws/, 'http')).href);
+    return status.extension ? { ok: true } : { ok: false, reason: 'extension not connected' };
+  } catch {
+    return { ok: false, reason: 'relay not running' };
+  }
+}
+
+function jobArgs(schedule) {
+  const vars = Object.entries(schedule.vars || {}).flatMap(([key, value]) => ['--var', `${key}=${value}`]);
+  return [GLIDER_BIN, schedule.mode || 'run', schedule.task, ...(schedule.args || []).map(String), ...vars];
+}
+
+// Keep the newest LOGS_KEPT logs per schedule
+function pruneLogs(dir) {
+  const logs = fs.readdirSync(dir).filter(f => f.endsWith('.log')).sort();
+  for (const file of logs.slice(0, -LOGS_KEPT)) {
+    try { fs.unlinkSync(path.join(dir, file)); } catch {}
+  }
+}
+
+/**
+ * Run a schedule's task once. Resolves with the recorded result:
+ * { status: ok|failed|timeout|skipped, exitCode, startedAt, duration, log, reason }
+ * echo: also stream the job's output to this process (run-now).
+ */
+async function runJob(schedule, { echo = false, onSpawn = null } = {}) {
+  const startedAt = Date.now();
+  const ready = await browserReady(schedule.transport);
+  if (!ready.ok) {
+    return recordResult(schedule.name, { status: 'skipped', reason: ready.reason, startedAt, duration: 0, exitCode: null, pid: null });
+  }
+
+  const dir = path.join(RESULTS_DIR, schedule.name);
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = new Date(startedAt).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const logFile = path.join(dir, `${stamp}.log`);
+  const fd = fs.openSync(logFile, 'a');
+
+  const env = { ...process.env };
+  if (schedule.transport) env.GLIDER_TRANSPORT = schedule.transport;
+  const child = spawn(process.execPath, jobArgs(schedule), {
+    cwd: path.dirname(schedule.task),
+    env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  onSpawn?.(child);
+  for (const stream of [child.stdout, child.stderr]) {
+    stream.on('data', chunk => {
+      fs.writeSync(fd, String(chunk).replace(/\x1b\[[0-9;]*m/g, ''));
+      if (echo) process.stdout.write(chunk);
+    });
+  }
+  recordResult(schedule.name, { status: 'running', reason: null, startedAt, duration: null, exitCode: null, pid: child.pid, log: logFile });
+
+  let timedOut = false;
+  const timer = schedule.timeout ? setTimeout(() => {
+    timedOut = true;
+    child.kill('SIGTERM');
+  }, schedule.timeout * 1000) : null;
+
+  const exitCode = await new Promise(resolve => {
+    child.on('error', () => resolve(null));
+    child.on('close', (code, signal) => resolve(code ?? (signal ? 128 + (os.constants.signals[signal] || 0) : null)));
+  });
+  clearTimeout(timer);
+  fs.closeSync(fd);
+  pruneLogs(dir);
+
+  const status = timedOut ? 'timeout' : exitCode === 0 ? 'ok' : 'failed';
+  return recordResult(schedule.name, {
+    status,
+    reason: timedOut ? `timeout (${schedule.timeout}s)` : null,
+    exitCode,
+    duration: (Date.now() - startedAt) / 1000,
+    pid: null,
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════
+// SCHEDULER
+// ═══════════════════════════════════════════════════════════════════
+
+/**
+ * Run forever: reload schedules.yaml when it changes, start due jobs.
+ * A job still running when it comes due again is skipped, not doubled up.
+ */
+async function startScheduler({ log = console.log } = {}) {
+  const other = schedulerPid();
+  if (other && other !== process.pid) throw new Error(`Scheduler already running (pid ${other})`);
+  fs.mkdirSync(GLIDER_DIR, { recursive: true });
+  fs.writeFileSync(PID_FILE, String(process.pid));
+
+  const running = new Map(); // name -> child process
+  const shutdown = () => {
+    for (const child of running.values()) {
+      try { child.kill('SIGTERM'); } catch {}
+    }
+    if (fs.existsSync(PID_FILE) && fs.readFileSync(PID_FILE, 'utf8').trim() === String(process.pid)) fs.unlinkSync(PID_FILE);
+    process.exit(0);
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+
+  let mtime = null;
+  let schedules = [];
+  const next = {}; // name -> { at, spec } - spec detects edits to a schedule
+  log(`[${new Date().toISOString()}] Scheduler started (pid ${process.pid}), watching ${SCHEDULES_FILE}`);
+
+  while (true) {
+    const stat = fs.existsSync(SCHEDULES_FILE) ? fs.statSync(SCHEDULES_FILE).mtimeMs : 0;
+    if (stat !== mtime) {
+      mtime = stat;
+      try {
+        schedules = loadSchedules().filter(s => {
+          try {
+            validateSchedule(s);
+            return true;
+          } catch (e) {
+            log(`[${new Date().toISOString()}] Ignoring schedule: ${e.message}`);
+            return false;
+          }
+        });
+        log(`[${new Date().toISOString()}] Loaded ${schedules.length} schedule(s)`);
+      } catch (e) {
+        log(`[${new Date().toISOString()}] Could not read ${SCHEDULES_FILE}: ${e.message}`);
+      }
+    }
+
+    const now = Date.now();
+    const results = readResults();
+    for (const schedule of schedules) {
+      if (schedule.enabled === false) continue;
+      const spec = JSON.stringify(schedule);
+      if (next[schedule.name]?.spec !== spec) {
+        next[schedule.name] = { spec, at: nextRunTime(schedule, results[schedule.name]?.startedAt, now) };
+      }
+      if (next[schedule.name].at === null || now < next[schedule.name].at) continue;
+      next[schedule.name].at = nextRunTime(schedule, now, now + 1);
+
+      if (running.has(schedule.name)) {
+        log(`[${new Date().toISOString()}] ${schedule.name}: still running, skipping this slot`);
+        continue;
+      }
+      log(`[${new Date().toISOString()}] ${schedule.name}: starting ${schedule.mode || 'run'} ${schedule.task}`);
+      running.set(schedule.name, null);
+      runJob(schedule, { onSpawn: child => running.set(schedule.name, child) })
+        .then(result => log(`[${new Date().toISOString()}] ${schedule.name}: ${result.status}${result.exitCode !== null ? ` (exit ${result.exitCode})` : ''}${result.reason ? ` - ${result.reason}` : ''}`))
+        .catch(e => log(`[${new Date().toISOString()}] ${schedule.name}: ${e.message}`))
+        .finally(() => running.delete(schedule.name));
+    }
+
+    await new Promise(r => setTimeout(r, TICK));
+  }
+}
+
+/**
+ * Stop the scheduler started by startScheduler(). Returns false if none was running.
+ */
+function stopScheduler() {
+  const pid = schedulerPid();
+  if (!pid) return false;
+  process.kill(pid, 'SIGTERM');
+  return true;
+}
+
+module.exports = {
+  parseCron,
+  nextCronTime,
+  parseInterval,
+  nextRunTime,
+  loadSchedules,
+  addSchedule,
+  removeSchedule,
+  getSchedule,
+  listSchedules,
+  readResults,
+  runJob,
+  startScheduler,
+  stopScheduler,
+  schedulerPid,
+  SCHEDULES_FILE,
+  RESULTS_DIR,
+};
+
+// CLI mode
+if (require.main === module) {
+  const [cmd = 'list', name] = process.argv.slice(2);
+  (async () => {
+    if (cmd === 'start') {
+      await startScheduler();
+    } else if (cmd === 'list') {
+      for (const s of listSchedules()) {
+        const when = s.cron ? `cron "${s.cron}"` : `every ${s.every}`;
+        console.log(`${s.name}  ${when}  ${s.last?.status || 'never run'}  next ${s.next ? new Date(s.next).toISOString() : '-'}  ${s.task}`);
+      }
+    } else if (cmd === 'run-now') {
+      const result = await runJob(getSchedule(name), { echo: true });
+      console.log(JSON.stringify(result, null, 2));
+      process.exitCode = result.status === 'ok' ? 0 : 1;
+    } else {
+      console.error('Usage: node bschedule.js start|list|run-now <name>');
+      process.exitCode = 1;
+    }
+  })().catch(e => {
+    console.error('Error:', e.message);
+    process.exit(1);
+  });
+}
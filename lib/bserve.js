@@ -7,10 +7,18 @@
 
 const { WebSocketServer, WebSocket } = require('ws');
 const http = require('http');
+const { ExtensionError, NoTabError, ProtocolError, TimeoutError, UsageError, toGliderError } = require('./errors');
 
-const PORT = process.env.RELAY_PORT || 19988;
+const PORT = process.env.RELAY_PORT || process.env.GLIDER_PORT || 19988;
 const HOST = '127.0.0.1';
 
+// Failed HTTP request - status from the error type, body { error: { code, message } }
+function sendError(res, err) {
+  const error = toGliderError(err);
+  res.writeHead(error.httpStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error }));
+}
+
 // State
 let extensionWs = null;
 const playwrightClients = new Map();
@@ -41,8 +49,7 @@ const server = http.createServer((req, res) => {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: e.message }));
+        sendError(res, e);
       }
     })();
   } else if (req.url === '/cdp' && req.method === 'POST') {
@@ -50,14 +57,21 @@ const server = http.createServer((req, res) => {
     let body = '';
     req.on('data', chunk => body += chunk);
     req.on('end', async () => {
+      let request;
       try {
-        const { method, params, sessionId } = JSON.parse(body);
-        const result = await routeCDPCommand({ method, params, sessionId });
+        request = JSON.parse(body);
+        if (!request?.method) throw new Error('missing method');
+      } catch (e) {
+        sendError(res, new UsageError(`Bad /cdp request: ${e.message} (expected { method, params, sessionId | targetId })`));
+        return;
+      }
+      try {
+        const { method, params, sessionId, targetId } = request;
+        const result = await routeCDPCommand({ method, params, sessionId: resolveSession({ sessionId, targetId }) });
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
       } catch (e) {
-        res.writeHead(500, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ error: e.message }));
+        sendError(res, e);
       }
     });
   } else {
@@ -131,7 +145,8 @@ function handleExtensionMessage(msg) {
     if (pending) {
       pendingRequests.delete(msg.id);
       if (msg.error) {
-        pending.reject(new Error(msg.error));
+        // chrome.debugger failures come back as plain strings
+        pending.reject(new ProtocolError(msg.error.message || String(msg.error)));
       } else {
         pending.resolve(msg.result);
       }
@@ -194,7 +209,7 @@ function handleCDPConnection(ws, clientId) {
       const { id, method, params, sessionId } = msg;
       
       if (!extensionWs) {
-        ws.send(JSON.stringify({ id, error: { message: 'Extension not connected' } }));
+        ws.send(JSON.stringify({ id, error: new ExtensionError('Extension not connected') }));
         return;
       }
       
@@ -216,7 +231,7 @@ function handleCDPConnection(ws, clientId) {
           }
         }
       } catch (e) {
-        ws.send(JSON.stringify({ id, sessionId, error: { message: e.message } }));
+        ws.send(JSON.stringify({ id, sessionId, error: toGliderError(e) }));
       }
     } catch (e) {
       console.error('[relay] Error handling CDP message:', e);
@@ -230,7 +245,7 @@ function handleCDPConnection(ws, clientId) {
 }
 
 async function sendToExtension({ method, params, timeout = 30000 }) {
-  if (!extensionWs) throw new Error('Extension not connected');
+  if (!extensionWs) throw new ExtensionError('Extension not connected');
   
   const id = ++messageId;
   extensionWs.send(JSON.stringify({ id, method, params }));
@@ -238,7 +253,7 @@ async function sendToExtension({ method, params, timeout = 30000 }) {
   return new Promise((resolve, reject) => {
     const timer = setTimeout(() => {
       pendingRequests.delete(id);
-      reject(new Error(`Timeout: ${method}`));
+      reject(new TimeoutError(`Timeout: ${method}`));
     }, timeout);
     
     pendingRequests.set(id, {
@@ -248,6 +263,20 @@ async function sendToExtension({ method, params, timeout = 30000 }) {
   });
 }
 
+// Explicit tab for HTTP /cdp - unknown ids are an error, not a silent fallback to the first tab
+function resolveSession({ sessionId, targetId }) {
+  if (targetId) {
+    for (const target of connectedTargets.values()) {
+      if (target.targetId === targetId) return target.sessionId;
+    }
+    throw new NoTabError(`Unknown targetId: ${targetId}`);
+  }
+  if (sessionId && !connectedTargets.has(sessionId)) {
+    throw new NoTabError(`Unknown sessionId: ${sessionId}`);
+  }
+  return sessionId;
+}
+
 async function routeCDPCommand({ method, params, sessionId }) {
   // Target.* commands that operate at browser level don't need sessionId
   const browserLevelCommands = [
@@ -263,8 +292,12 @@ async function routeCDPCommand({ method, params, sessionId }) {
   ];
   
   // Auto-pick first session only for session-scoped commands
-  if (!sessionId && connectedTargets.size > 0 && !browserLevelCommands.includes(method)) {
-    sessionId = Array.from(connectedTargets.values())[0].sessionId;
+  if (!sessionId && !browserLevelCommands.includes(method)) {
+    // Page commands (Runtime.*, Page.*, ...) need a tab; other browser-wide ones go through as is
+    if (connectedTargets.size === 0 && !/^(Target|Browser)\./.test(method)) {
+      throw extensionWs ? new NoTabError('No browser tab connected. Run: glider connect') : new ExtensionError('Extension not connected');
+    }
+    if (connectedTargets.size > 0) sessionId = Array.from(connectedTargets.values())[0].sessionId;
   }
   
   // Handle some commands locally
@@ -19,68 +19,57 @@
  *   echo "https://example.com" | bspawn -
  */
 
-const WebSocket = require('ws');
 const fs = require('fs');
+const { createTransport } = require('./transport');
 
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
 const DEFAULT_WAIT = 3000;
 
 async function spawnTabs(urls, options = {}) {
   const { wait = DEFAULT_WAIT, quiet = false } = options;
+  const transport = createTransport(options);
   
-  return new Promise((resolve, reject) => {
-    const ws = new WebSocket(RELAY_URL);
-    let id = 0;
-    const results = [];
-    
-    ws.on('open', () => {
-      if (!quiet) console.error(`[bspawn] Spawning ${urls.length} tabs...`);
-      urls.forEach(url => {
-        ws.send(JSON.stringify({ 
-          id: ++id, 
-          method: 'Target.createTarget', 
-          params: { url } 
-        }));
-      });
-    });
-    
-    ws.on('message', (data) => {
-      const msg = JSON.parse(data.toString());
-      if (msg.result?.targetId) {
-        results.push({ id: msg.id, targetId: msg.result.targetId });
+  try {
+    await transport.connect();
+  } catch (err) {
+    throw new Error(`WebSocket error: ${err.message}`);
+  }
+  
+  transport.on('Target.attachedToTarget', (params) => {
+    if (!quiet) console.error(`[bspawn] Attached: ${params?.targetInfo?.url?.substring(0, 60)}...`);
+  });
+  
+  if (!quiet) console.error(`[bspawn] Spawning ${urls.length} tabs...`);
+  const results = [];
+  
+  try {
+    await Promise.all(urls.map(async (url, i) => {
+      try {
+        const { targetId } = await transport.send('Target.createTarget', { url });
+        results.push({ id: i + 1, targetId });
         if (!quiet) console.error(`[bspawn] Tab ${results.length}/${urls.length} created`);
+      } catch (err) {
+        if (!quiet) console.error(`[bspawn] Failed: ${url} - ${err.message}`);
       }
-      if (msg.method === 'Target.attachedToTarget') {
-        if (!quiet) console.error(`[bspawn] Attached: ${msg.params?.targetInfo?.url?.substring(0, 60)}...`);
-      }
-      if (results.length === urls.length) {
-        setTimeout(() => {
-          ws.close();
-          resolve(results);
-        }, wait);
-      }
-    });
+    }));
     
-    ws.on('error', (err) => reject(new Error(`WebSocket error: ${err.message}`)));
-    
-    // Timeout after 30s
-    setTimeout(() => {
-      ws.close();
-      if (results.length > 0) resolve(results);
-      else reject(new Error('Timeout waiting for tabs to spawn'));
-    }, 30000);
-  });
+    if (results.length === 0) throw new Error('No tabs spawned');
+    await new Promise(r => setTimeout(r, wait));
+    return results;
+  } finally {
+    transport.close();
+  }
 }
 
-async function getStatus() {
-  const http = require('http');
-  return new Promise((resolve) => {
-    http.get('http://127.0.0.1:19988/targets', (res) => {
-      let data = '';
-      res.on('data', chunk => data += chunk);
-      res.on('end', () => resolve(JSON.parse(data)));
-    }).on('error', () => resolve([]));
-  });
+async function getStatus(options = {}) {
+  const transport = createTransport(options);
+  try {
+    await transport.connect();
+    return await transport.getTargets();
+  } catch {
+    return [];
+  } finally {
+    transport.close();
+  }
 }
 
 async function main() {
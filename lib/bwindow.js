@@ -13,40 +13,18 @@
  * Tabs created in the main window CANNOT be closed (Chrome security)
  */
 
-const WebSocket = require('ws');
-
-const RELAY_URL = process.env.RELAY_URL || 'ws://127.0.0.1:19988/cdp';
+const { createTransport } = require('./transport');
 
 class WindowManager {
-  constructor() {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+  /**
+   * options.transport: 'relay' | 'direct' | shared transport instance
+   */
+  constructor(options = {}) {
+    this.transport = createTransport(options);
     this.targets = new Map(); // targetId -> { sessionId, url, windowId, createdByGlider }
-  }
-
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(RELAY_URL);
-      this.ws.on('open', resolve);
-      this.ws.on('error', reject);
-      this.ws.on('message', (data) => this._handleMessage(JSON.parse(data.toString())));
-    });
-  }
-
-  _handleMessage(msg) {
-    if (msg.id !== undefined) {
-      const pending = this.pending.get(msg.id);
-      if (pending) {
-        this.pending.delete(msg.id);
-        msg.error ? pending.reject(new Error(JSON.stringify(msg.error))) : pending.resolve(msg.result);
-      }
-      return;
-    }
 
     // Track targets
-    if (msg.method === 'Target.targetCreated') {
-      const info = msg.params.targetInfo;
+    this.transport.on('Target.targetCreated', ({ targetInfo: info }) => {
       if (info.type === 'page') {
         this.targets.set(info.targetId, { 
           targetId: info.targetId, 
@@ -54,35 +32,25 @@ class WindowManager {
           type: info.type
         });
       }
-    }
+    });
 
-    if (msg.method === 'Target.attachedToTarget') {
-      const { sessionId, targetInfo } = msg.params;
+    this.transport.on('Target.attachedToTarget', ({ sessionId, targetInfo }) => {
       if (this.targets.has(targetInfo.targetId)) {
         this.targets.get(targetInfo.targetId).sessionId = sessionId;
       }
-    }
+    });
 
-    if (msg.method === 'Target.targetDestroyed') {
-      this.targets.delete(msg.params.targetId);
-    }
+    this.transport.on('Target.targetDestroyed', ({ targetId }) => {
+      this.targets.delete(targetId);
+    });
   }
 
-  async send(method, params = {}) {
-    const id = ++this.messageId;
-    const msg = { id, method, params };
-    this.ws.send(JSON.stringify(msg));
+  async connect() {
+    await this.transport.connect();
+  }
 
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 30000);
-      this.pending.set(id, {
-        resolve: (r) => { clearTimeout(timer); resolve(r); },
-        reject: (e) => { clearTimeout(timer); reject(e); }
-      });
-    });
+  async send(method, params = {}, sessionId = null) {
+    return this.transport.send(method, params, sessionId);
   }
 
   async init() {
@@ -231,7 +199,7 @@ class WindowManager {
   }
 
   close() {
-    if (this.ws) this.ws.close();
+    this.transport.close();
   }
 }
 
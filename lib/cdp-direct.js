@@ -6,53 +6,24 @@
  * Chrome must be running with --remote-debugging-port=9222
  */
 
-const WebSocket = require('ws');
-const http = require('http');
-
-const DEBUG_PORT = process.env.GLIDER_DEBUG_PORT || 9222;
-const DEBUG_HOST = '127.0.0.1';
+const { CDPConnection, getJSON, DEBUG_PORT, DEBUG_HOST } = require('./transport');
+const { ConnectionError, ElementNotFoundError, NoTabError, EXIT_CODES, exitCodeFor, fromExceptionDetails } = require('./errors');
 
 class DirectCDP {
   constructor() {
-    this.ws = null;
-    this.messageId = 0;
-    this.pending = new Map();
+    this.conn = null;
     this.targetId = null;
     this.sessionId = null;
   }
 
   // Get list of debuggable targets from Chrome
   async getTargets() {
-    return new Promise((resolve, reject) => {
-      http.get(`http://${DEBUG_HOST}:${DEBUG_PORT}/json/list`, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Failed to parse targets'));
-          }
-        });
-      }).on('error', reject);
-    });
+    return getJSON(`http://${DEBUG_HOST}:${DEBUG_PORT}/json/list`);
   }
 
   // Get Chrome version info
   async getVersion() {
-    return new Promise((resolve, reject) => {
-      http.get(`http://${DEBUG_HOST}:${DEBUG_PORT}/json/version`, (res) => {
-        let data = '';
-        res.on('data', chunk => data += chunk);
-        res.on('end', () => {
-          try {
-            resolve(JSON.parse(data));
-          } catch (e) {
-            reject(new Error('Failed to parse version'));
-          }
-        });
-      }).on('error', reject);
-    });
+    return getJSON(`http://${DEBUG_HOST}:${DEBUG_PORT}/json/version`);
   }
 
   // Connect to a specific target (tab)
@@ -76,66 +47,26 @@ class DirectCDP {
         target = targets.find(t => t.type === 'page');
       }
       if (!target) {
-        throw new Error('No debuggable page found');
+        throw new NoTabError('No debuggable page found');
       }
       
       wsUrl = target.webSocketDebuggerUrl;
       this.targetId = target.id;
     }
 
-    return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(wsUrl);
-      
-      this.ws.on('open', async () => {
-        // Enable required domains
-        await this.send('Runtime.enable');
-        await this.send('Page.enable');
-        resolve();
-      });
-      
-      this.ws.on('error', reject);
-      
-      this.ws.on('message', (data) => {
-        const msg = JSON.parse(data.toString());
-        if (msg.id !== undefined) {
-          const pending = this.pending.get(msg.id);
-          if (pending) {
-            this.pending.delete(msg.id);
-            if (msg.error) {
-              pending.reject(new Error(msg.error.message));
-            } else {
-              pending.resolve(msg.result);
-            }
-          }
-        }
-      });
-      
-      this.ws.on('close', () => {
-        this.ws = null;
-      });
-    });
+    // Page-level socket - no sessions needed
+    this.conn = new CDPConnection(wsUrl);
+    await this.conn.connect();
+    
+    // Enable required domains
+    await this.send('Runtime.enable');
+    await this.send('Page.enable');
   }
 
   // Send CDP command
   async send(method, params = {}) {
-    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
-      throw new Error('Not connected');
-    }
-    
-    const id = ++this.messageId;
-    this.ws.send(JSON.stringify({ id, method, params }));
-    
-    return new Promise((resolve, reject) => {
-      const timer = setTimeout(() => {
-        this.pending.delete(id);
-        reject(new Error(`Timeout: ${method}`));
-      }, 30000);
-      
-      this.pending.set(id, {
-        resolve: (r) => { clearTimeout(timer); resolve(r); },
-        reject: (e) => { clearTimeout(timer); reject(e); }
-      });
-    });
+    if (!this.conn) throw new ConnectionError('Not connected');
+    return this.conn.send(method, params);
   }
 
   // High-level helpers
@@ -145,9 +76,7 @@ class DirectCDP {
       returnByValue: true,
       awaitPromise: true
     });
-    if (result.exceptionDetails) {
-      throw new Error(result.exceptionDetails.text || 'Evaluation failed');
-    }
+    if (result.exceptionDetails) throw fromExceptionDetails(result.exceptionDetails);
     return result.result?.value;
   }
 
@@ -173,39 +102,43 @@ class DirectCDP {
 
   async getHtml(selector) {
     if (selector) {
-      return this.evaluate(`document.querySelector('${selector}')?.outerHTML`);
+      return this.evaluate(`document.querySelector(${JSON.stringify(selector)})?.outerHTML`);
     }
     return this.evaluate('document.documentElement.outerHTML');
   }
 
   async click(selector) {
-    return this.evaluate(`
+    const found = await this.evaluate(`
       (() => {
-        const el = document.querySelector('${selector}');
-        if (!el) throw new Error('Element not found: ${selector}');
+        const el = document.querySelector(${JSON.stringify(selector)});
+        if (!el) return false;
         el.click();
         return true;
       })()
     `);
+    if (!found) throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+    return true;
   }
 
   async type(selector, text) {
-    return this.evaluate(`
+    const found = await this.evaluate(`
       (() => {
-        const el = document.querySelector('${selector}');
-        if (!el) throw new Error('Element not found: ${selector}');
+        const el = document.querySelector(${JSON.stringify(selector)});
+        if (!el) return false;
         el.focus();
-        el.value = '${text.replace(/'/g, "\\'")}';
+        el.value = ${JSON.stringify(text)};
         el.dispatchEvent(new Event('input', { bubbles: true }));
         return true;
       })()
     `);
+    if (!found) throw new ElementNotFoundError(`Element not found: ${selector}`, { selector });
+    return true;
   }
 
   close() {
-    if (this.ws) {
-      this.ws.close();
-      this.ws = null;
+    if (this.conn) {
+      this.conn.close();
+      this.conn = null;
     }
   }
 }
@@ -242,8 +175,8 @@ if (require.main === module) {
           console.log('Tabs:', targets.filter(t => t.type === 'page').length);
         } else {
           console.error('Chrome debugging not available:', check.error);
-          console.error('Run: glider chrome-start');
-          process.exit(1);
+          console.error('Run: glider launch');
+          process.exit(EXIT_CODES.CONNECTION_FAILED);
         }
         return;
       }
@@ -297,7 +230,7 @@ if (require.main === module) {
       }
     } catch (e) {
       console.error('Error:', e.message);
-      process.exit(1);
+      process.exitCode = exitCodeFor(e);
     } finally {
       cdp.close();
     }
@@ -0,0 +1,148 @@
+/**
+ * errors.js - Error taxonomy shared by the relay, the transports and the CLI
+ * Every failure carries a stable code and a process exit code, so wrapper
+ * scripts can tell "relay down" from "selector not found" without parsing text.
+ *
+ *   code                    exit  when
+ *   ERROR                   1     anything else
+ *   USAGE                   2     bad arguments, missing task file, invalid task
+ *   CONNECTION_FAILED       3     relay not running / Chrome debug port unreachable
+ *   EXTENSION_DISCONNECTED  4     relay up, extension not connected
+ *   NO_TAB                  5     no tab attached, or --tab/--session/... matched nothing
+ *   ELEMENT_NOT_FOUND       6     selector matched nothing
+ *   JS_EXCEPTION            7     page JavaScript threw
+ *   TIMEOUT                 8     CDP command, wait or navigation timed out
+ *   CDP_ERROR               9     the browser rejected a CDP command
+ *   TASK_FAILED             10    a task step failed (run/loop)
+ *   NAVIGATION_FAILED       11    the page didn't load (DNS, refused, blocked - Page.navigate errorText) or got HTTP 4xx/5xx
+ *
+ * On the wire (relay HTTP responses, --json) an error is { code, message, ...details }.
+ * A JS_EXCEPTION also has the page's stack, line and column (1-based) - see fromExceptionDetails.
+ */
+
+class GliderError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    Object.assign(this, details);
+  }
+
+  toJSON() {
+    const { name, message, stack, data, ...details } = this;
+    return { code: this.code, message, exitCode: this.exitCode, ...details };
+  }
+}
+
+class UsageError extends GliderError {}
+class ConnectionError extends GliderError {}
+class ExtensionError extends GliderError {}
+class NoTabError extends GliderError {}
+class ElementNotFoundError extends GliderError {}
+// stack is the page's stack trace (or null), not this process's
+class EvaluationError extends GliderError {
+  toJSON() {
+    return { ...super.toJSON(), stack: this.stack };
+  }
+}
+class TimeoutError extends GliderError {}
+class ProtocolError extends GliderError {}
+class TaskError extends GliderError {}
+class NavigationError extends GliderError {}
+
+// [class, code, exit code, HTTP status for relay responses]
+const TYPES = [
+  [GliderError, 'ERROR', 1, 500],
+  [UsageError, 'USAGE', 2, 400],
+  [ConnectionError, 'CONNECTION_FAILED', 3, 502],
+  [ExtensionError, 'EXTENSION_DISCONNECTED', 4, 503],
+  [NoTabError, 'NO_TAB', 5, 404],
+  [ElementNotFoundError, 'ELEMENT_NOT_FOUND', 6, 404],
+  [EvaluationError, 'JS_EXCEPTION', 7, 422],
+  [TimeoutError, 'TIMEOUT', 8, 504],
+  [ProtocolError, 'CDP_ERROR', 9, 502],
+  [TaskError, 'TASK_FAILED', 10, 500],
+  [NavigationError, 'NAVIGATION_FAILED', 11, 502],
+];
+
+const byCode = {};
+for (const [Type, code, exitCode, httpStatus] of TYPES) {
+  Object.assign(Type.prototype, { code, exitCode, httpStatus });
+  byCode[code] = Type;
+}
+
+/**
+ * Rebuild a typed error from a wire payload - { code, message } or a CDP
+ * error ({ code: -32000, message }), which becomes a ProtocolError.
+ */
+function fromPayload(payload) {
+  if (typeof payload === 'string') return new GliderError(payload);
+  const { code, message = 'Unknown error', exitCode, ...details } = payload || {};
+  const Type = byCode[code];
+  if (Type) return new Type(message, details);
+  return new ProtocolError(message, typeof code === 'number' ? { cdpCode: code, ...details } : details);
+}
+
+/**
+ * EvaluationError from Runtime.evaluate/callFunctionOn exceptionDetails.
+ * Thrown Errors carry "TypeError: x\n    at f (<anonymous>:3:9)" in exception.description;
+ * thrown primitives only have exception.value.
+ */
+function fromExceptionDetails(details) {
+  const exception = details.exception || {};
+  const description = exception.description || '';
+  const framesAt = description.search(/\n\s+at /);
+  let message = framesAt === -1 ? description : description.slice(0, framesAt);
+  if (!message && 'value' in exception) message = `Uncaught ${JSON.stringify(exception.value)}`;
+  const frames = details.stackTrace?.callFrames || [];
+  const stack = framesAt !== -1 ? description
+    : frames.length ? [message, ...frames.map(f => `    at ${f.functionName || '<anonymous>'} (${f.url || '<anonymous>'}:${f.lineNumber + 1}:${f.columnNumber + 1})`)].join('\n')
+    : null;
+  return new EvaluationError(message || details.text || 'Evaluation failed', {
+    line: details.lineNumber != null ? details.lineNumber + 1 : null,
+    column: details.columnNumber != null ? details.columnNumber + 1 : null,
+    url: details.url || null,
+    stack,
+  });
+}
+
+// Any thrown value as a GliderError - sockets refusing connections count as CONNECTION_FAILED
+function toGliderError(err) {
+  if (err instanceof GliderError) return err;
+  // Node reports a refused localhost connection as an AggregateError with an empty message
+  const message = err?.message || err?.errors?.[0]?.message || String(err);
+  if (['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENOTFOUND'].includes(err?.code)) {
+    return new ConnectionError(message);
+  }
+  return new GliderError(message);
+}
+
+// Prefix the message ("Eval failed: ...") without losing the error's type
+function withContext(err, prefix) {
+  const typed = toGliderError(err);
+  typed.message = `${prefix}: ${typed.message}`;
+  return typed;
+}
+
+function exitCodeFor(err) {
+  return toGliderError(err).exitCode;
+}
+
+module.exports = {
+  GliderError,
+  UsageError,
+  ConnectionError,
+  ExtensionError,
+  NoTabError,
+  ElementNotFoundError,
+  EvaluationError,
+  TimeoutError,
+  ProtocolError,
+  TaskError,
+  NavigationError,
+  EXIT_CODES: Object.fromEntries(TYPES.map(([, code, exitCode]) => [code, exitCode])),
+  fromPayload,
+  fromExceptionDetails,
+  toGliderError,
+  withContext,
+  exitCodeFor,
+};
@@ -1,10 +1,13 @@
 #!/bin/bash
 # Glider daemon - respawns relay forever, fuck launchd throttling
+# Also keeps the scheduler (bschedule.js, ~/.glider/schedules.yaml) alive next to it
 
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 BSERVE="$SCRIPT_DIR/bserve.js"
+SCHEDULER="$SCRIPT_DIR/bschedule.js"
 LOG_DIR="$HOME/.glider"
 PID_FILE="$LOG_DIR/daemon.pid"
+SCHEDULER_PID_FILE="$LOG_DIR/scheduler.pid"
 
 mkdir -p "$LOG_DIR"
 
@@ -16,8 +19,27 @@ fi
 
 echo $$ > "$PID_FILE"
 
+# Scheduler respawn loop - ends when this daemon is replaced or uninstalled
+DAEMON_PID=$$
+(
+  while [ "$(cat "$PID_FILE" 2>/dev/null)" = "$DAEMON_PID" ]; do
+    # A foreground `glider schedule start` has it - wait for that one to exit instead of
+    # respawning a copy that only logs "already running"
+    OTHER=$(cat "$SCHEDULER_PID_FILE" 2>/dev/null)
+    if [ -n "$OTHER" ] && kill -0 "$OTHER" 2>/dev/null; then
+      sleep 10
+      continue
+    fi
+    node "$SCHEDULER" start >> "$LOG_DIR/scheduler.log" 2>&1
+    sleep 2
+  done
+) &
+SCHEDULER_LOOP=$!
+
 cleanup() {
   rm -f "$PID_FILE"
+  kill $SCHEDULER_LOOP 2>/dev/null
+  [ -f "$SCHEDULER_PID_FILE" ] && kill $(cat "$SCHEDULER_PID_FILE") 2>/dev/null
   exit 0
 }
 trap cleanup SIGTERM SIGINT
@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+/**
+ * transport.js - Shared CDP transport layer for Glider
+ * One WebSocket + pending-map implementation, two backends:
+ *
+ *   relay   ws://127.0.0.1:19988/cdp - relay server + Glider extension (default; GLIDER_PORT, RELAY_URL)
+ *   direct  Chrome/Chromium started with --remote-debugging-port (no extension)
+ *
+ * Pick a backend with GLIDER_TRANSPORT=relay|direct, `glider --transport <name>`,
+ * or createTransport({ transport: 'direct' }).
+ *
+ * Both backends speak flattened CDP sessions: get a sessionId from attach()
+ * and pass it to send(). Browser-level commands (Target.*) take no sessionId.
+ * attach() takes a tab selector ({ tab, sessionId, targetId, urlMatch }, see
+ * selectTarget); without one it uses GLIDER_TAB/GLIDER_SESSION/GLIDER_TARGET/GLIDER_URL_MATCH.
+ *
+ * Usage:
+ *   node transport.js [relay|direct]    # list targets on a backend
+ */
+
+const WebSocket = require('ws');
+const http = require('http');
+const { ConnectionError, ExtensionError, NoTabError, TimeoutError, UsageError, fromPayload, toGliderError } = require('./errors');
+
+// Same port the CLI's HTTP calls (status, start) use
+const RELAY_URL = process.env.RELAY_URL || `ws://127.0.0.1:${process.env.GLIDER_PORT || 19988}/cdp`;
+const DEBUG_PORT = process.env.GLIDER_DEBUG_PORT || 9222;
+const DEBUG_HOST = '127.0.0.1';
+const DEFAULT_TIMEOUT = 30000;
+const TRANSPORTS = ['relay', 'direct'];
+
+// GET a JSON document (relay /targets, Chrome /json/version, ...)
+// Unreachable -> ConnectionError, relay { error } responses -> their typed error
+function getJSON(url, { timeout = 2000 } = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, { timeout }, (res) => {
+      let data = '';
+      res.on('data', chunk => data += chunk);
+      res.on('end', () => {
+        let body;
+        try {
+          body = JSON.parse(data);
+        } catch (e) {
+          reject(new ConnectionError(`Invalid JSON from ${url} (HTTP ${res.statusCode})`));
+          return;
+        }
+        res.statusCode >= 400 ? reject(fromPayload(body?.error ?? `HTTP ${res.statusCode} from ${url}`)) : resolve(body);
+      });
+    }).on('error', e => reject(toGliderError(e))).on('timeout', function () {
+      this.destroy(new TimeoutError(`Timeout: GET ${url}`));
+    });
+  });
+}
+
+// Tabs worth attaching to by default (skip chrome:// and devtools:// pages)
+function isRealPage(info) {
+  const url = info?.url || '';
+  return !url.startsWith('chrome://') && !url.startsWith('chrome-extension://') && !url.startsWith('devtools://');
+}
+
+// Tab selector from the environment - `glider --tab/--session/--target/--url-match`
+// exports these so child processes (bexplore, ...) hit the same tab
+function envSelector() {
+  const selector = {};
+  if (process.env.GLIDER_TAB) selector.tab = process.env.GLIDER_TAB;
+  if (process.env.GLIDER_SESSION) selector.sessionId = process.env.GLIDER_SESSION;
+  if (process.env.GLIDER_TARGET) selector.targetId = process.env.GLIDER_TARGET;
+  if (process.env.GLIDER_URL_MATCH) selector.urlMatch = process.env.GLIDER_URL_MATCH;
+  return Object.keys(selector).length ? selector : null;
+}
+
+/**
+ * Pick one entry from getTargets() output.
+ * selector: { tab }       1-based index, as listed by `glider tabs`
+ *           { sessionId } / { targetId }
+ *           { urlMatch }  substring of the URL or title
+ * No selector: first real page, then first target. Returns null if there are no targets;
+ * throws if a selector was given and nothing matches.
+ */
+function selectTarget(targets, selector = null) {
+  if (!selector) return targets.find(t => isRealPage(t.targetInfo)) || targets[0] || null;
+
+  const { tab, sessionId, targetId, urlMatch } = selector;
+  let match;
+  if (tab !== undefined && tab !== null) {
+    const index = parseInt(tab, 10);
+    if (!(index >= 1)) throw new UsageError(`Invalid tab index: ${tab} (tabs are numbered from 1)`);
+    match = targets[index - 1];
+    if (!match) throw new NoTabError(`No tab [${index}] - ${targets.length} tab(s) connected`);
+  } else if (sessionId) {
+    match = targets.find(t => t.sessionId === sessionId);
+    if (!match) throw new NoTabError(`No tab with session ${sessionId}`);
+  } else if (targetId) {
+    match = targets.find(t => t.targetId === targetId);
+    if (!match) throw new NoTabError(`No tab with target ${targetId}`);
+  } else if (urlMatch) {
+    const needle = urlMatch.toLowerCase();
+    match = targets.find(t => (t.targetInfo?.url || '').toLowerCase().includes(needle))
+      || targets.find(t => (t.targetInfo?.title || '').toLowerCase().includes(needle));
+    if (!match) throw new NoTabError(`No tab matching "${urlMatch}"`);
+  } else {
+    return selectTarget(targets);
+  }
+  return match;
+}
+
+class CDPConnection {
+  constructor(url, { timeout = DEFAULT_TIMEOUT } = {}) {
+    this.url = url;
+    this.timeout = timeout;
+    this.ws = null;
+    this.messageId = 0;
+    this.pending = new Map();
+    this.eventHandlers = new Map();
+  }
+
+  get connected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  async connect() {
+    if (this.connected) return;
+    return new Promise((resolve, reject) => {
+      const ws = this.ws = new WebSocket(this.url);
+      ws.on('open', resolve);
+      ws.on('error', e => reject(toGliderError(e)));
+      ws.on('message', (data) => this._handleMessage(JSON.parse(data.toString())));
+      ws.on('close', (code, reason) => {
+        // The relay drops its clients with this reason when the extension goes away
+        const error = String(reason) === 'Extension disconnected'
+          ? new ExtensionError('Extension disconnected')
+          : new ConnectionError(`Connection closed${reason?.length ? `: ${reason}` : ''}`);
+        for (const pending of this.pending.values()) pending.reject(error);
+        this.pending.clear();
+        if (this.ws === ws) this.ws = null;
+      });
+    });
+  }
+
+  _handleMessage(msg) {
+    if (msg.id !== undefined) {
+      const pending = this.pending.get(msg.id);
+      if (pending) {
+        this.pending.delete(msg.id);
+        msg.error ? pending.reject(fromPayload(msg.error)) : pending.resolve(msg.result);
+      }
+      return;
+    }
+
+    // Events - handlers get (params, sessionId) so callers can filter by tab
+    const handlers = this.eventHandlers.get(msg.method);
+    if (handlers) handlers.forEach(h => h(msg.params, msg.sessionId));
+  }
+
+  on(event, handler) {
+    if (!this.eventHandlers.has(event)) this.eventHandlers.set(event, new Set());
+    this.eventHandlers.get(event).add(handler);
+  }
+
+  off(event, handler) {
+    this.eventHandlers.get(event)?.delete(handler);
+  }
+
+  async send(method, params = {}, sessionId = null, timeout = this.timeout) {
+    if (!this.connected) throw new ConnectionError('Not connected');
+
+    const id = ++this.messageId;
+    const msg = { id, method, params };
+    if (sessionId) msg.sessionId = sessionId;
+    this.ws.send(JSON.stringify(msg));
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(id);
+        reject(new TimeoutError(`Timeout: ${method}`));
+      }, timeout);
+      this.pending.set(id, {
+        resolve: (r) => { clearTimeout(timer); resolve(r); },
+        reject: (e) => { clearTimeout(timer); reject(e); }
+      });
+    });
+  }
+
+  close() {
+    if (this.ws) this.ws.close();
+    this.ws = null;
+  }
+}
+
+/**
+ * Relay backend - talks to bserve.js, which forwards to the extension.
+ * Each instance gets its own client id so parallel connections don't collide.
+ */
+class RelayTransport extends CDPConnection {
+  constructor(options = {}) {
+    const base = options.url || RELAY_URL;
+    const clientId = `glider-${process.pid}-${Math.random().toString(36).slice(2, 8)}`;
+    super(base.replace(/\/cdp\/?$/, `/cdp/${clientId}`), options);
+    this.name = 'relay';
+    const { host } = new URL(base);
+    this.httpUrl = `http://${host}`;
+  }
+
+  async connect() {
+    try {
+      await super.connect();
+    } catch (e) {
+      throw new ConnectionError(`Relay not reachable at ${this.httpUrl} (${toGliderError(e).message}) - run: glider start`);
+    }
+  }
+
+  // [{ sessionId, targetId, targetInfo }] - tabs the extension has attached
+  async getTargets() {
+    const targets = await getJSON(`${this.httpUrl}/targets`);
+    return Array.isArray(targets) ? targets : [];
+  }
+
+  // Relay tabs are already attached - just resolve the selector to a sessionId
+  async attach(target = envSelector()) {
+    const match = selectTarget(await this.getTargets(), target);
+    if (!match) {
+      // No tabs because the extension itself is gone?
+      const status = await getJSON(`${this.httpUrl}/status`).catch(() => null);
+      if (status && !status.extension) throw new ExtensionError('Extension not connected to relay. Run: glider connect');
+      throw new NoTabError('No browser tab connected. Run: glider connect');
+    }
+    return match.sessionId;
+  }
+}
+
+/**
+ * Direct backend - connects to Chrome's browser endpoint from /json/version
+ * and attaches to tabs with flattened sessions. No relay, no extension.
+ */
+class DirectTransport extends CDPConnection {
+  constructor(options = {}) {
+    super(null, options);
+    this.name = 'direct';
+    this.host = options.host || DEBUG_HOST;
+    this.port = options.port || DEBUG_PORT;
+    this.httpUrl = `http://${this.host}:${this.port}`;
+    this.sessions = new Map(); // targetId -> sessionId
+    this.on('Target.detachedFromTarget', ({ sessionId }) => {
+      for (const [targetId, sid] of this.sessions) {
+        if (sid === sessionId) this.sessions.delete(targetId);
+      }
+    });
+  }
+
+  async connect() {
+    if (this.connected) return;
+    let version;
+    try {
+      version = await getJSON(`${this.httpUrl}/json/version`);
+    } catch (e) {
+      throw new ConnectionError(`Chrome debugging not available on port ${this.port} (${e.message})`);
+    }
+    this.url = version.webSocketDebuggerUrl;
+    await super.connect();
+  }
+
+  // Same shape as the relay's /targets
+  async getTargets() {
+    const { targetInfos } = await this.send('Target.getTargets');
+    return targetInfos
+      .filter(info => info.type === 'page')
+      .map(info => ({
+        sessionId: this.sessions.get(info.targetId) || null,
+        targetId: info.targetId,
+        targetInfo: info
+      }));
+  }
+
+  async attach(target = envSelector()) {
+    // Sessions only live as long as this connection
+    if (target?.sessionId && [...this.sessions.values()].includes(target.sessionId)) return target.sessionId;
+    const match = selectTarget(await this.getTargets(), target);
+    if (!match) throw new NoTabError('No debuggable page found');
+    const { targetId } = match;
+    if (this.sessions.has(targetId)) return this.sessions.get(targetId);
+
+    const { sessionId } = await this.send('Target.attachToTarget', { targetId, flatten: true });
+    this.sessions.set(targetId, sessionId);
+    return sessionId;
+  }
+}
+
+function resolveTransportName(name) {
+  const resolved = name || process.env.GLIDER_TRANSPORT || 'relay';
+  if (!TRANSPORTS.includes(resolved)) {
+    throw new UsageError(`Unknown transport: ${resolved} (expected ${TRANSPORTS.join(' or ')})`);
+  }
+  return resolved;
+}
+
+/**
+ * createTransport() - relay or direct, from options.transport or GLIDER_TRANSPORT.
+ * An existing transport instance is passed straight through so modules can share one.
+ */
+function createTransport(options = {}) {
+  if (options.transport && typeof options.transport === 'object') return options.transport;
+  const name = resolveTransportName(options.transport);
+  return name === 'direct' ? new DirectTransport(options) : new RelayTransport(options);
+}
+
+module.exports = {
+  CDPConnection,
+  RelayTransport,
+  DirectTransport,
+  createTransport,
+  resolveTransportName,
+  getJSON,
+  isRealPage,
+  selectTarget,
+  envSelector,
+  TRANSPORTS,
+  RELAY_URL,
+  DEBUG_PORT,
+  DEBUG_HOST,
+};
+
+// CLI mode
+if (require.main === module) {
+  (async () => {
+    const transport = createTransport({ transport: process.argv[2] });
+    try {
+      await transport.connect();
+      const targets = await transport.getTargets();
+      console.log(`${transport.name}: ${targets.length} tab(s)`);
+      targets.forEach((t, i) => {
+        console.log(`[${i + 1}] ${t.targetInfo?.title || ''}`);
+        console.log(`    ${t.targetInfo?.url || 'unknown'}`);
+      });
+    } catch (e) {
+      console.error('Error:', e.message);
+      process.exitCode = toGliderError(e).exitCode;
+    } finally {
+      transport.close();
+    }
+  })();
+}